@@ -0,0 +1,183 @@
+// API key authentication. Keys are stored hashed (SHA-256) in data/api-keys.json;
+// the plaintext key is only ever returned once, when it is created.
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs');
+
+const DATA_DIR = path.resolve(process.cwd(), 'data');
+const API_KEYS_FILE = path.join(DATA_DIR, 'api-keys.json');
+
+if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
+
+/*
+  apiKeys map:
+  keyId -> {
+    id, name, owner, role ('admin' | 'user'), hash, createdAt
+  }
+*/
+const apiKeys = new Map();
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(a, 'hex');
+  const bufB = Buffer.from(b, 'hex');
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+function saveApiKeys() {
+  try {
+    const data = Array.from(apiKeys.values());
+    fs.writeFileSync(API_KEYS_FILE, JSON.stringify(data, null, 2));
+  } catch (error) {
+    console.error('[ERROR] Failed to save API keys:', error);
+  }
+}
+
+function loadApiKeys() {
+  try {
+    if (fs.existsSync(API_KEYS_FILE)) {
+      const data = JSON.parse(fs.readFileSync(API_KEYS_FILE, 'utf8'));
+      for (const key of data) apiKeys.set(key.id, key);
+      console.log(`[INFO] Loaded ${apiKeys.size} API keys`);
+    }
+  } catch (error) {
+    console.error('[ERROR] Failed to load API keys:', error);
+  }
+}
+
+loadApiKeys();
+
+function toPublicKey(key) {
+  return {
+    id: key.id,
+    name: key.name,
+    owner: key.owner,
+    role: key.role,
+    createdAt: key.createdAt
+  };
+}
+
+/**
+ * Create a new API key
+ * @param {Object} params
+ * @param {string} params.owner - Owner the key acts as
+ * @param {string} [params.name] - Human readable label
+ * @param {string} [params.role] - 'user' (default) or 'admin'
+ * @returns {Object} - Key metadata plus the plaintext `key` (not stored)
+ */
+function createApiKey({ owner, name, role = 'user' }) {
+  if (!owner) throw new Error('owner required');
+  if (!['user', 'admin'].includes(role)) throw new Error('role must be "user" or "admin"');
+
+  const id = crypto.randomBytes(8).toString('hex');
+  const key = `wak_${crypto.randomBytes(24).toString('hex')}`;
+  const record = {
+    id,
+    name: name || null,
+    owner,
+    role,
+    hash: hashKey(key),
+    createdAt: Date.now()
+  };
+
+  apiKeys.set(id, record);
+  saveApiKeys();
+  return { ...toPublicKey(record), key };
+}
+
+function listApiKeys() {
+  return Array.from(apiKeys.values()).map(toPublicKey);
+}
+
+function revokeApiKey(keyId) {
+  if (!apiKeys.has(keyId)) return false;
+  apiKeys.delete(keyId);
+  saveApiKeys();
+  return true;
+}
+
+/**
+ * Resolve a plaintext key to an auth context, or null if it is unknown
+ */
+function resolveApiKey(key) {
+  if (!key) return null;
+  const hash = hashKey(key);
+
+  // Bootstrap admin key from the environment, never written to disk
+  if (process.env.ADMIN_API_KEY && safeEqual(hash, hashKey(process.env.ADMIN_API_KEY))) {
+    return { keyId: 'env-admin', owner: 'admin', isAdmin: true };
+  }
+
+  for (const record of apiKeys.values()) {
+    if (safeEqual(hash, record.hash)) {
+      return { keyId: record.id, owner: record.owner, isAdmin: record.role === 'admin' };
+    }
+  }
+  return null;
+}
+
+function extractApiKey(req) {
+  const header = req.headers.authorization || '';
+  if (header.startsWith('Bearer ')) return header.slice(7).trim();
+  if (req.headers['x-api-key']) return req.headers['x-api-key'];
+  // Browsers' EventSource can't set headers, so event streams may pass the key in the query
+  if ((req.headers.accept || '').includes('text/event-stream') && typeof req.query.apiKey === 'string') {
+    return req.query.apiKey;
+  }
+  return null;
+}
+
+/**
+ * Express middleware: rejects requests without a valid API key and sets req.auth
+ */
+function authenticate(req, res, next) {
+  const auth = resolveApiKey(extractApiKey(req));
+  if (!auth) {
+    return res.status(401).json({ error: 'valid API key required' });
+  }
+  req.auth = auth;
+  return next();
+}
+
+function requireAdmin(req, res, next) {
+  if (!req.auth || !req.auth.isAdmin) {
+    return res.status(403).json({ error: 'admin API key required' });
+  }
+  return next();
+}
+
+/**
+ * Whether the authenticated caller may operate on resources of `owner`
+ */
+function canAccessOwner(auth, owner) {
+  return Boolean(auth) && (auth.isAdmin || auth.owner === owner);
+}
+
+/**
+ * Owner to record for a new resource. Admins may act on behalf of any owner
+ * via body.owner or X-Owner; regular keys always act as their own owner.
+ */
+function resolveOwner(req) {
+  if (req.auth.isAdmin) {
+    return req.body.owner || req.headers['x-owner'] || req.auth.owner;
+  }
+  return req.auth.owner;
+}
+
+function hasConfiguredKeys() {
+  return apiKeys.size > 0 || Boolean(process.env.ADMIN_API_KEY);
+}
+
+module.exports = {
+  authenticate,
+  requireAdmin,
+  canAccessOwner,
+  resolveOwner,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  hasConfiguredKeys
+};
@@ -0,0 +1,237 @@
+// Broadcast batches: one message sent to many recipients through the send queue,
+// with a per-recipient result report persisted in data/broadcasts.json. Finished batches
+// are kept as long as finished queue items (SEND_QUEUE_RETENTION_HOURS).
+const path = require('path');
+const fs = require('fs');
+const { v4: uuidv4 } = require('uuid');
+const { renderTemplate } = require('./utils');
+const { QUEUE_RETENTION_HOURS, enqueueMessages, getQueuedMessage, onSettled } = require('./sendQueue');
+const { normalizePhone } = require('./phone');
+
+const DATA_DIR = path.resolve(process.cwd(), 'data');
+const BROADCASTS_FILE = path.join(DATA_DIR, 'broadcasts.json');
+
+const MAX_RECIPIENTS = Number(process.env.BROADCAST_MAX_RECIPIENTS || 1000);
+
+if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
+
+/*
+  batches map:
+  batchId -> {
+    batchId, clientId, createdAt, message, media: { filename, mime },
+    recipients: [{ phone, variables, status, queueItemId, responseId, error, updatedAt }]
+  }
+  recipient status: queued | sent | invalid_number | not_on_whatsapp | failed | cancelled
+*/
+const batches = new Map();
+
+function saveBroadcasts() {
+  try {
+    fs.writeFileSync(BROADCASTS_FILE, JSON.stringify(Array.from(batches.values()), null, 2));
+  } catch (error) {
+    console.error('[ERROR] Failed to save broadcasts:', error);
+  }
+}
+
+function loadBroadcasts() {
+  try {
+    if (fs.existsSync(BROADCASTS_FILE)) {
+      for (const batch of JSON.parse(fs.readFileSync(BROADCASTS_FILE, 'utf8'))) {
+        batches.set(batch.batchId, batch);
+      }
+    }
+  } catch (error) {
+    console.error('[ERROR] Failed to load broadcasts:', error);
+  }
+}
+
+loadBroadcasts();
+
+function applyQueueResult(recipient, item) {
+  if (item.status === 'sent') {
+    recipient.status = 'sent';
+    recipient.responseId = item.responseId;
+  } else if (item.status === 'failed') {
+    recipient.status = item.errorCode === 'NOT_ON_WHATSAPP' ? 'not_on_whatsapp' : 'failed';
+    recipient.error = item.error;
+  } else if (item.status === 'cancelled') {
+    recipient.status = 'cancelled';
+    recipient.error = item.error;
+  } else {
+    return false;
+  }
+  recipient.updatedAt = Date.now();
+  return true;
+}
+
+onSettled((item) => {
+  if (!item.batchId) return;
+  const batch = batches.get(item.batchId);
+  if (!batch) return;
+  const recipient = batch.recipients.find(r => r.queueItemId === item.id);
+  if (recipient && applyQueueResult(recipient, item)) saveBroadcasts();
+});
+
+/**
+ * Queue a broadcast
+ * @param {string} clientId - Client ID
+ * @param {Object} params
+ * @param {Array<string|Object>} params.recipients - Phone numbers or { phone, variables }
+ * @param {string} [params.message] - Text; {{name}} placeholders are filled per recipient
+ * @param {Object} [params.defaults] - Placeholder values used when a recipient has none
+ * @param {Object} [params.media] - { filename, mime, filePath } shared by all recipients
+ * @param {string|number} [params.sendAt] - Schedule the whole batch
+ * @param {string} [params.region] - Default region for numbers without a country code
+ * @returns {Object} - The batch
+ */
+function createBroadcast(clientId, { recipients, message, defaults = {}, media, sendAt, region }) {
+  if (!Array.isArray(recipients) || recipients.length === 0) {
+    throw new Error('recipients array required');
+  }
+  if (recipients.length > MAX_RECIPIENTS) {
+    throw new Error(`too many recipients (max ${MAX_RECIPIENTS})`);
+  }
+  if (!message && !media) throw new Error('message or media required');
+
+  const batch = {
+    batchId: uuidv4(),
+    clientId,
+    createdAt: Date.now(),
+    message: message || '',
+    media: media ? { filename: media.filename || null, mime: media.mime || null } : null,
+    recipients: []
+  };
+
+  // Queued in one go below, so an invalid sendAt leaves no half-queued batch behind
+  const pending = [];
+  for (const raw of recipients) {
+    const { phone, variables = {} } = typeof raw === 'object' && raw !== null ? raw : { phone: raw };
+    const recipient = {
+      phone: phone === undefined || phone === null ? null : String(phone),
+      variables,
+      status: 'queued',
+      queueItemId: null,
+      responseId: null,
+      error: null,
+      updatedAt: Date.now()
+    };
+
+    let e164 = null;
+    try {
+      e164 = normalizePhone(phone, region).e164;
+    } catch (error) {
+      recipient.status = 'invalid_number';
+      recipient.error = error.message;
+    }
+
+    if (e164) {
+      pending.push({
+        recipient,
+        params: {
+          phone: e164,
+          message: renderTemplate(message, { ...defaults, ...variables }),
+          media,
+          sendAt,
+          batchId: batch.batchId
+        }
+      });
+    }
+    batch.recipients.push(recipient);
+  }
+
+  const queued = enqueueMessages(clientId, pending.map(p => p.params));
+  queued.forEach((item, i) => { pending[i].recipient.queueItemId = item.id; });
+
+  batches.set(batch.batchId, batch);
+  saveBroadcasts();
+  console.log(`[BROADCAST] Queued batch ${batch.batchId} for client ${clientId} (${batch.recipients.length} recipients)`);
+  return batch;
+}
+
+function getBroadcast(clientId, batchId) {
+  const batch = batches.get(batchId);
+  if (!batch || batch.clientId !== clientId) return null;
+
+  // Pick up results settled while no listener was registered (e.g. across a restart)
+  let changed = false;
+  for (const recipient of batch.recipients) {
+    if (recipient.status !== 'queued') continue;
+    const item = getQueuedMessage(clientId, recipient.queueItemId);
+    if (item && applyQueueResult(recipient, item)) changed = true;
+  }
+  if (changed) saveBroadcasts();
+  return batch;
+}
+
+function listBroadcasts(clientId) {
+  return Array.from(batches.values()).filter(b => b.clientId === clientId);
+}
+
+/**
+ * Drop a client's batches (used when the client is deleted)
+ */
+function removeClientBroadcasts(clientId) {
+  let removed = 0;
+  for (const batch of batches.values()) {
+    if (batch.clientId === clientId) {
+      batches.delete(batch.batchId);
+      removed++;
+    }
+  }
+  if (removed) saveBroadcasts();
+  return removed;
+}
+
+/**
+ * Drop batches whose messages all finished more than SEND_QUEUE_RETENTION_HOURS ago,
+ * like the queue does with its items
+ * @returns {number} - Batches dropped
+ */
+function pruneBroadcasts() {
+  const cutoff = Date.now() - QUEUE_RETENTION_HOURS * 60 * 60 * 1000;
+  let removed = 0;
+  for (const batch of batches.values()) {
+    const finished = batch.recipients.every(r => (
+      // A queue item that is gone was pruned by the queue, so it finished long ago
+      r.status !== 'queued' || !getQueuedMessage(batch.clientId, r.queueItemId)
+    ));
+    const lastUpdate = Math.max(batch.createdAt, ...batch.recipients.map(r => r.updatedAt));
+    if (finished && lastUpdate < cutoff) {
+      batches.delete(batch.batchId);
+      removed++;
+    }
+  }
+  if (removed) saveBroadcasts();
+  return removed;
+}
+
+/**
+ * Batch report with per-status counts
+ */
+function serializeBroadcast(batch, { includeRecipients = true } = {}) {
+  const summary = {};
+  for (const r of batch.recipients) summary[r.status] = (summary[r.status] || 0) + 1;
+
+  return {
+    batchId: batch.batchId,
+    clientId: batch.clientId,
+    createdAt: batch.createdAt,
+    total: batch.recipients.length,
+    completed: batch.recipients.every(r => r.status !== 'queued'),
+    summary,
+    ...(includeRecipients ? {
+      recipients: batch.recipients.map(({ phone, status, responseId, error, updatedAt }) => ({
+        phone, status, responseId, error, updatedAt
+      }))
+    } : {})
+  };
+}
+
+module.exports = {
+  createBroadcast,
+  getBroadcast,
+  listBroadcasts,
+  removeClientBroadcasts,
+  pruneBroadcasts,
+  serializeBroadcast
+};
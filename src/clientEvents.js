@@ -0,0 +1,42 @@
+// In-process event bus for live client updates (QR refreshes, loading progress, status
+// changes, messages). Feeds the Server-Sent Events stream at GET /clients/:id/events.
+const EventEmitter = require('events');
+
+const bus = new EventEmitter();
+bus.setMaxListeners(0); // one listener per open stream
+
+let sequence = 0;
+
+/**
+ * Publish an event to everyone subscribed to the client
+ * @param {string} clientId - Client ID
+ * @param {string} event - qr | loading | state | status | message | message_ack | message_revoke
+ * @param {Object} data - Event payload
+ */
+function publishClientEvent(clientId, event, data) {
+  bus.emit(clientId, { id: ++sequence, event, clientId, timestamp: Date.now(), data });
+}
+
+/**
+ * Subscribe to a client's events
+ * @param {string} clientId - Client ID
+ * @param {Function} listener - Called with { id, event, clientId, timestamp, data }
+ * @returns {Function} - Unsubscribe
+ */
+function subscribeClientEvents(clientId, listener) {
+  bus.on(clientId, listener);
+  return () => bus.off(clientId, listener);
+}
+
+/**
+ * Publish an event to the subscribers of every client (e.g. `shutdown`)
+ */
+function publishToAllClients(event, data) {
+  for (const clientId of bus.eventNames()) publishClientEvent(clientId, event, data);
+}
+
+module.exports = {
+  publishClientEvent,
+  publishToAllClients,
+  subscribeClientEvents
+};
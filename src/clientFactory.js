@@ -0,0 +1,97 @@
+// Builds whatsapp-web.js Client instances. Both new sessions and sessions reconnected
+// at startup are constructed here, so they always get the same options.
+const { Client, LocalAuth } = require('whatsapp-web.js');
+
+const DEFAULT_PUPPETEER_ARGS = process.env.PUPPETEER_ARGS
+  ? process.env.PUPPETEER_ARGS.split(',').map(a => a.trim()).filter(Boolean)
+  : [
+    '--no-sandbox',
+    '--disable-setuid-sandbox',
+    '--disable-dev-shm-usage',
+    '--disable-accelerated-2d-canvas',
+    '--no-first-run',
+    '--disable-gpu'
+  ];
+const DEFAULT_WEB_VERSION = process.env.WWEBJS_WEB_VERSION || '2.2412.54';
+// WhatsApp Web issues a new pairing code at this interval until the phone links
+const PAIRING_CODE_INTERVAL_MS = Number(process.env.PAIRING_CODE_INTERVAL_MS || 3 * 60 * 1000);
+const WEB_VERSION_REMOTE_PATH = 'https://raw.githubusercontent.com/wppconnect-team/wa-version/main/html/{version}.html';
+
+// Replaceable so the registry can be exercised without launching Chromium
+let ClientClass = Client;
+
+/**
+ * Use a different Client implementation (e.g. a fake in tests)
+ * @param {Function} [clientClass] - Constructor taking whatsapp-web.js options; omit to restore the real Client
+ */
+function setClientClass(clientClass) {
+  ClientClass = clientClass || Client;
+}
+
+/**
+ * Validate per-client configuration
+ * @param {Object} config - { puppeteerArgs, webVersion, pairingPhone }
+ * @returns {Array<string>} - Validation errors
+ */
+function validateClientConfig({ puppeteerArgs, webVersion, pairingPhone } = {}) {
+  const errors = [];
+  if (puppeteerArgs !== undefined
+    && (!Array.isArray(puppeteerArgs) || !puppeteerArgs.every(a => typeof a === 'string' && a.startsWith('--')))) {
+    errors.push('puppeteerArgs must be an array of "--flag" strings');
+  }
+  if (webVersion !== undefined && !(typeof webVersion === 'string' && /^\d+\.\d+\.\d+(-\w+)?$/.test(webVersion))) {
+    errors.push('webVersion must look like 2.2412.54');
+  }
+  if (pairingPhone !== undefined && !(typeof pairingPhone === 'string' && /^\d{7,15}$/.test(pairingPhone))) {
+    errors.push('pairingPhone must be the international number as digits only');
+  }
+  return errors;
+}
+
+/**
+ * whatsapp-web.js options for a client
+ * @param {string} clientId - Client ID (also the LocalAuth session id)
+ * @param {Object} [config] - { puppeteerArgs: extra Chromium flags, webVersion, pairingPhone: log in with a pairing code instead of a QR }
+ */
+function buildClientOptions(clientId, { puppeteerArgs = [], webVersion, pairingPhone } = {}) {
+  const options = {
+    authStrategy: new LocalAuth({ clientId }), // LocalAuth will store session under .wwebjs_auth/session-<clientId>
+    puppeteer: {
+      headless: true,
+      args: [...new Set([...DEFAULT_PUPPETEER_ARGS, ...puppeteerArgs])],
+      executablePath: process.env.PUPPETEER_EXECUTABLE_PATH || '/usr/bin/chromium',
+      timeout: 60000
+    },
+    takeoverOnConflict: true,
+    webVersion: webVersion || DEFAULT_WEB_VERSION,
+    webVersionCache: {
+      type: 'remote',
+      remotePath: WEB_VERSION_REMOTE_PATH
+    }
+  };
+  if (pairingPhone) {
+    options.pairWithPhoneNumber = { phoneNumber: pairingPhone, showNotification: true, intervalMs: PAIRING_CODE_INTERVAL_MS };
+  }
+  return options;
+}
+
+/**
+ * Create a (not yet initialized) WhatsApp client
+ * @param {string} clientId - Client ID
+ * @param {Object} [config] - { puppeteerArgs, webVersion, pairingPhone }
+ * @returns {Client}
+ */
+function createWhatsAppClient(clientId, config = {}) {
+  const options = buildClientOptions(clientId, config);
+  console.log(`[DEBUG] Puppeteer executablePath: ${options.puppeteer.executablePath}, WhatsApp Web ${options.webVersion}`);
+  return new ClientClass(options);
+}
+
+module.exports = {
+  DEFAULT_WEB_VERSION,
+  PAIRING_CODE_INTERVAL_MS,
+  setClientClass,
+  validateClientConfig,
+  buildClientOptions,
+  createWhatsAppClient
+};
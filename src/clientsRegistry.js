@@ -1,14 +1,27 @@
-// Simple in-memory client registry. Swap with DB (Mongo/Redis) for production.
-const { Client, LocalAuth, MessageMedia } = require('whatsapp-web.js');
+// In-memory client registry. Client metadata is persisted through registryStore.js (file or SQLite).
+const { MessageMedia, Location, Poll } = require('whatsapp-web.js');
 const qrcode = require('qrcode');
 const { v4: uuidv4 } = require('uuid');
 const path = require('path');
 const fs = require('fs');
-const { getExtensionFromMime, createZipArchive } = require('./utils');
+const { getExtensionFromMime } = require('./utils');
+const { dispatchEvent, removeClientWebhooks } = require('./webhooks');
+const { publishClientEvent } = require('./clientEvents');
+const { updateFromAck, removeClientMessageStatuses } = require('./messageStatus');
+const { toChatId } = require('./phone');
+const { createRegistryStore } = require('./registryStore');
+const { createWhatsAppClient, PAIRING_CODE_INTERVAL_MS } = require('./clientFactory');
+const { DEFAULT_EXPORT_FORMATS, renderChatTranscripts } = require('./exportFormats');
+const { createExportArchive } = require('./exportArchive');
+const { ENCRYPTED_EXTENSION, createEncryptStream } = require('./exportEncryption');
+const { recordExport, getExportExpiry } = require('./exportCatalog');
+const { EXPORT_FETCH_LIMIT, parseExportFilters, applyExportFilters, describeExportFilters } = require('./exportFilters');
+const { exportCursorScope, getExportCursor, messagesAfterCursor, advanceCursor, saveExportCursors, resetExportCursors } = require('./exportCursors');
+const { reportFailure, reportReady, cancelRestart, startSupervisor } = require('./supervisor');
+const { SESSION_TTL_MS, createExpiry, recordActivity, extendExpiry, expiryState } = require('./sessionExpiry');
 
 const DATA_DIR = path.resolve(process.cwd(), 'data'); // volume mounted to persist LocalAuth
 const DOWNLOADS_DIR = path.resolve(process.cwd(), 'src', 'downloads');
-const REGISTRY_FILE = path.join(DATA_DIR, 'clients-registry.json'); // Persist client metadata
 
 if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
 if (!fs.existsSync(DOWNLOADS_DIR)) fs.mkdirSync(DOWNLOADS_DIR, { recursive: true });
@@ -16,147 +29,258 @@ if (!fs.existsSync(DOWNLOADS_DIR)) fs.mkdirSync(DOWNLOADS_DIR, { recursive: true
 /*
   clients map:
   clientId -> {
-    client, status, owner, createdAt, expiresAt, qrDataUrl, lastSeen
+    client, status, statusSince, owner, createdAt, defaultRegion,
+    expiresAt, expiryPolicy, sessionTtlMs, expiryWarnedAt (see sessionExpiry.js),
+    clientConfig: { puppeteerArgs, webVersion, pairingPhone }, qrDataUrl, pairingCode, lastSeen,
+    health: { restartCount, consecutiveFailures, lastError, ... } (see supervisor.js)
   }
 */
 const clients = new Map();
 
-// Helper functions for persistence
-function saveRegistry() {
+// Persistence goes through a pluggable backend (see registryStore.js)
+const registryStore = createRegistryStore();
+console.log(`[INFO] Client registry backend: ${registryStore.name}`);
+
+function serializeEntry(entry) {
+  // Save only serializable data, not the client instance
+  return {
+    clientId: entry.clientId,
+    owner: entry.owner,
+    status: entry.status,
+    createdAt: entry.createdAt,
+    expiresAt: entry.expiresAt,
+    expiryPolicy: entry.expiryPolicy,
+    sessionTtlMs: entry.sessionTtlMs,
+    expiryWarnedAt: entry.expiryWarnedAt,
+    defaultRegion: entry.defaultRegion,
+    clientConfig: entry.clientConfig,
+    lastSeen: entry.lastSeen,
+    qrDataUrl: entry.qrDataUrl
+  };
+}
+
+// Status events come in bursts (e.g. every client reconnecting at startup); entries changed
+// within SAVE_DELAY_MS are written together
+const SAVE_DELAY_MS = 200;
+const unsavedEntries = new Map(); // clientId -> entry
+let saveTimer = null;
+
+function saveRegistry(entry) {
+  unsavedEntries.set(entry.clientId, entry);
+  entry.savedExpiresAt = entry.expiresAt;
+  if (saveTimer) return;
+  saveTimer = setTimeout(flushRegistry, SAVE_DELAY_MS);
+  saveTimer.unref();
+}
+
+/**
+ * Write entries changed since the last save now
+ */
+function flushRegistry() {
+  if (saveTimer) {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+  }
+  if (!unsavedEntries.size) return;
+
+  const records = {};
+  for (const [clientId, entry] of unsavedEntries) records[clientId] = serializeEntry(entry);
+  unsavedEntries.clear();
   try {
-    const data = {};
-    for (const [clientId, entry] of clients.entries()) {
-      // Save only serializable data, not the client instance
-      data[clientId] = {
-        clientId: entry.clientId,
-        owner: entry.owner,
-        status: entry.status,
-        createdAt: entry.createdAt,
-        expiresAt: entry.expiresAt,
-        lastSeen: entry.lastSeen,
-        qrDataUrl: entry.qrDataUrl
-      };
-    }
-    fs.writeFileSync(REGISTRY_FILE, JSON.stringify(data, null, 2));
-    console.log(`[DEBUG] Registry saved with ${Object.keys(data).length} clients`);
+    registryStore.saveMany(records);
+    console.log(`[DEBUG] Registry saved ${Object.keys(records).length} client(s)`);
   } catch (error) {
     console.error('[ERROR] Failed to save registry:', error);
   }
 }
 
+process.on('exit', flushRegistry);
+
+function removeFromRegistry(clientId) {
+  unsavedEntries.delete(clientId);
+  try {
+    registryStore.remove(clientId);
+  } catch (error) {
+    console.error('[ERROR] Failed to remove client from registry:', error);
+  }
+}
+
 function loadRegistry() {
   try {
-    if (fs.existsSync(REGISTRY_FILE)) {
-      const data = JSON.parse(fs.readFileSync(REGISTRY_FILE, 'utf8'));
-      console.log(`[INFO] Loading ${Object.keys(data).length} persisted clients...`);
-      return data;
-    }
+    const data = registryStore.load();
+    console.log(`[INFO] Loading ${Object.keys(data).length} persisted clients...`);
+    return data;
   } catch (error) {
     console.error('[ERROR] Failed to load registry:', error);
   }
   return {};
 }
 
-function createClientEntry(owner, expiryMs) {
-  const clientId = uuidv4();
-  const dataPathClient = path.join(DATA_DIR, clientId);
+/**
+ * Release the registry backend (e.g. close the SQLite database) on shutdown
+ */
+function closeRegistry() {
+  flushRegistry();
+  try {
+    registryStore.close();
+  } catch (error) {
+    console.error('[ERROR] Failed to close registry:', error);
+  }
+}
 
-  console.log(`[DEBUG] Creating client with clientId: ${clientId}`);
-  console.log(`[DEBUG] Using LocalAuth at: ${dataPathClient}`);
-  console.log(`[DEBUG] Puppeteer executablePath: ${process.env.PUPPETEER_EXECUTABLE_PATH || '/usr/bin/chromium'}`);
-  const client = new Client({
-    authStrategy: new LocalAuth({ clientId }), // LocalAuth will store session under .wwebjs_local_auth/<clientId>
-    puppeteer: {
-      headless: true,
-      args: [
-        '--no-sandbox',
-        '--disable-setuid-sandbox',
-        '--disable-dev-shm-usage',
-        '--disable-accelerated-2d-canvas',
-        '--no-first-run',
-        '--disable-gpu'
-      ],
-      executablePath: process.env.PUPPETEER_EXECUTABLE_PATH || '/usr/bin/chromium',
-      timeout: 60000
-    },
-    takeoverOnConflict: true,
-    webVersionCache: {
-      type: 'remote',
-      remotePath: 'https://raw.githubusercontent.com/wppconnect-team/wa-version/main/html/2.2412.54.html'
-    }
-  });
+/**
+ * Notify webhooks and live event streams. Webhooks only receive the events they subscribed to.
+ */
+function publish(clientId, event, data) {
+  dispatchEvent(clientId, event, data);
+  publishClientEvent(clientId, event, data);
+}
 
-  const entry = {
-    client,
-    clientId,
-    owner,
-    status: 'initializing',
-    createdAt: Date.now(),
-    expiresAt: Date.now() + expiryMs,
-    qrDataUrl: null,
-    lastSeen: Date.now()
+/**
+ * Update an entry's status and publish the transition
+ */
+function setStatus(entry, status) {
+  const previousStatus = entry.status;
+  entry.status = status;
+  if (previousStatus !== status) {
+    entry.statusSince = Date.now();
+    publish(entry.clientId, 'status', { status, previousStatus });
+  }
+}
+
+function serializeMessage(msg) {
+  return {
+    id: msg.id._serialized,
+    from: msg.from,
+    to: msg.to,
+    author: msg.author || null,
+    fromMe: msg.fromMe,
+    type: msg.type,
+    body: msg.body,
+    timestamp: msg.timestamp,
+    hasMedia: msg.hasMedia,
+    ack: msg.ack
   };
+}
+
+/**
+ * Forward incoming messages, ack changes and revokes to webhooks and event streams
+ */
+function attachMessageEvents(client, clientId) {
+  client.on('message', (msg) => {
+    const entry = clients.get(clientId);
+    if (entry) recordActivity(entry);
+    publish(clientId, 'message', serializeMessage(msg));
+  });
+
+  client.on('message_ack', (msg, ack) => {
+    if (msg.fromMe) updateFromAck(clientId, msg.id._serialized, ack);
+    publish(clientId, 'message_ack', { id: msg.id._serialized, to: msg.to, ack });
+  });
+
+  client.on('message_revoke_everyone', (msg, revokedMsg) => {
+    publish(clientId, 'message_revoke', {
+      message: serializeMessage(msg),
+      revokedMessage: revokedMsg ? serializeMessage(revokedMsg) : null
+    });
+  });
+}
+
+/**
+ * Build the client, wire its lifecycle events and start initializing it.
+ * Shared by createClientEntry and reconnectPersistedClients so both behave the same.
+ * @param {Object} entry - Registry entry; entry.client is set here
+ * @returns {Promise<void>} - Settles when client.initialize() does
+ */
+function startClient(entry) {
+  const { clientId } = entry;
+  const client = createWhatsAppClient(clientId, entry.clientConfig);
+  entry.client = client;
 
-  // Event handlers
   client.on('loading_screen', (percent, message) => {
     console.log(`[DEBUG] Client ${clientId} loading screen: ${percent}% - ${message}`);
+    publishClientEvent(clientId, 'loading', { percent, message });
   });
 
   client.on('change_state', (state) => {
     console.log(`[DEBUG] Client ${clientId} state changed to: ${state}`);
+    publishClientEvent(clientId, 'state', { state });
   });
 
   client.on('qr', async (qr) => {
     console.log(`[DEBUG] QR event emitted for client ${clientId}`);
+    // Switched to a pairing code; the page keeps rotating QR codes nobody will scan
+    if (entry.clientConfig.pairingPhone) return;
     try {
       const dataUrl = await qrcode.toDataURL(qr);
       entry.qrDataUrl = dataUrl;
-      entry.status = 'qr';
+      setStatus(entry, 'qr');
       entry.lastSeen = Date.now();
+      publishClientEvent(clientId, 'qr', { qr: dataUrl });
       console.log(`[DEBUG] QR code generated and stored for client ${clientId}`);
-      saveRegistry(); // Save when status changes
+      saveRegistry(entry); // Save when status changes
     } catch (e) {
       console.error('[ERROR] QR to data url error', e);
     }
   });
 
+  client.on('code', (code) => {
+    console.log(`[DEBUG] Pairing code received for client ${clientId}`);
+    entry.pairingCode = code;
+    entry.pairingCodeExpiresAt = Date.now() + PAIRING_CODE_INTERVAL_MS;
+    entry.qrDataUrl = null;
+    setStatus(entry, 'pairing_code');
+    entry.lastSeen = Date.now();
+    publishClientEvent(clientId, 'pairing_code', { code, expiresAt: entry.pairingCodeExpiresAt });
+    saveRegistry(entry);
+  });
+
   client.on('ready', () => {
-    entry.status = 'ready';
+    setStatus(entry, 'ready');
     entry.qrDataUrl = null;
+    entry.pairingCode = null;
+    entry.pairingCodeExpiresAt = null;
     entry.lastSeen = Date.now();
-    console.log(`[DEBUG] Client ${clientId} ready`);
-    saveRegistry(); // Save when ready
+    reportReady(entry);
+    console.log(`[INFO] Client ${clientId} ready`);
+    saveRegistry(entry); // Save when ready
   });
 
   client.on('authenticated', () => {
-    entry.status = 'authenticated';
+    setStatus(entry, 'authenticated');
+    entry.pairingCode = null;
+    entry.pairingCodeExpiresAt = null;
     entry.lastSeen = Date.now();
     console.log(`[DEBUG] Client ${clientId} authenticated`);
-    saveRegistry(); // Save when authenticated
+    saveRegistry(entry); // Save when authenticated
   });
 
   client.on('auth_failure', (msg) => {
     console.warn(`[WARN] Auth failure for client ${clientId}:`, msg);
-    entry.status = 'auth_failure';
+    setStatus(entry, 'auth_failure');
     entry.lastSeen = Date.now();
-    saveRegistry(); // Save when auth fails
+    saveRegistry(entry); // Save when auth fails
   });
 
   client.on('disconnected', async (reason) => {
     console.log(`[DEBUG] Client ${clientId} disconnected:`, reason);
-    entry.status = 'disconnected';
+    setStatus(entry, 'disconnected');
     entry.lastSeen = Date.now();
-    
+
     // If client was logged out, clean it up gracefully
     if (reason === 'LOGOUT') {
       console.log(`[INFO] Client ${clientId} logged out, cleaning up...`);
       try {
         await client.destroy();
         clients.delete(clientId);
+        removeFromRegistry(clientId);
         console.log(`[INFO] Client ${clientId} cleaned up after logout`);
       } catch (cleanupError) {
         console.error(`[ERROR] Failed to cleanup client ${clientId}:`, cleanupError);
       }
+    } else {
+      saveRegistry(entry);
+      reportFailure(entry, `disconnected: ${reason}`);
     }
   });
 
@@ -167,33 +291,152 @@ function createClientEntry(owner, expiryMs) {
     try {
       if (error.message && error.message.includes('Execution context was destroyed')) {
         console.log(`[WARN] Client ${clientId} execution context destroyed, marking as disconnected`);
-        entry.status = 'disconnected';
+        setStatus(entry, 'disconnected');
+        reportFailure(entry, error.message);
       }
     } catch (e) {
       console.error(`[ERROR] Error handling client error:`, e);
     }
   });
 
-  // Listen for remote_session_saved event
   client.on('remote_session_saved', () => {
     console.log(`[DEBUG] Client ${clientId} remote session saved`);
   });
 
+  attachMessageEvents(client, clientId);
+
+  // Clients stuck while starting are picked up by the supervisor's health check
+  console.log(`[DEBUG] client.initialize() called for clientId: ${clientId}`);
+  return Promise.resolve()
+    .then(() => client.initialize())
+    .catch((e) => {
+      console.error(`[ERROR] Failed to initialize client ${clientId}:`, e);
+      if (entry.client === client) reportFailure(entry, `initialize failed: ${e.message}`);
+    });
+}
+
+/**
+ * Request a new pairing code, switching a client from QR login to pairing if needed.
+ * WhatsApp Web keeps issuing fresh codes for this number; each arrives as a 'code' event.
+ * @param {Object} entry - Registry entry in status qr or pairing_code
+ * @param {string} pairingPhone - International number, digits only
+ * @returns {Promise<string>} - The new code
+ */
+async function requestPairingCode(entry, pairingPhone) {
+  const previousPhone = entry.clientConfig.pairingPhone;
+  entry.clientConfig.pairingPhone = pairingPhone;
   try {
-    client.initialize();
-    console.log(`[DEBUG] client.initialize() called for clientId: ${clientId}`);
-    
-    // Add timeout to detect stuck initialization
-    setTimeout(() => {
-      if (entry.status === 'initializing') {
-        console.error(`[ERROR] Client ${clientId} stuck in initializing state for 30 seconds`);
-      }
-    }, 30000);
+    const code = await entry.client.requestPairingCode(pairingPhone, true, PAIRING_CODE_INTERVAL_MS);
+    saveRegistry(entry);
+    return code;
+  } catch (error) {
+    entry.clientConfig.pairingPhone = previousPhone;
+    throw error;
+  }
+}
+
+/**
+ * Tear down the browser of a client and start a fresh one with the same session.
+ * Called by the supervisor after a disconnect, crash or stuck startup.
+ */
+async function restartClient(entry) {
+  if (clients.get(entry.clientId) !== entry) return; // deleted in the meantime
+
+  console.log(`[INFO] Restarting client ${entry.clientId}...`);
+  const oldClient = entry.client;
+  setStatus(entry, 'restarting');
+  saveRegistry(entry);
+
+  if (oldClient) {
+    // Events from the old browser must not touch the entry any more
+    oldClient.removeAllListeners();
+    oldClient.on('error', () => {});
+    try {
+      await oldClient.destroy();
+    } catch (e) {
+      console.warn(`[WARN] Failed to destroy old client ${entry.clientId}:`, e.message);
+    }
+  }
+
+  await startClient(entry);
+}
+
+/**
+ * Supervisor gave up after too many consecutive failures
+ */
+async function markClientFailed(entry) {
+  setStatus(entry, 'failed');
+  saveRegistry(entry);
+  try {
+    if (entry.client) await entry.client.destroy();
   } catch (e) {
-    console.error(`[ERROR] Failed to initialize client ${clientId}:`, e);
+    console.warn(`[WARN] Failed to destroy client ${entry.clientId}:`, e.message);
   }
+}
+
+/**
+ * Close every browser on shutdown. LocalAuth data is kept, so the sessions stay logged in
+ * and are reconnected on the next start.
+ */
+async function shutdownClients() {
+  const entries = Array.from(clients.values());
+  await Promise.allSettled(entries.map(async (entry) => {
+    saveRegistry(entry);
+    const { client } = entry;
+    if (!client) return;
+    // A closing browser may emit disconnects and errors; they must not schedule restarts
+    client.removeAllListeners();
+    client.on('error', () => {});
+    try {
+      await client.destroy();
+      console.log(`[INFO] Client ${entry.clientId} browser closed`);
+    } catch (e) {
+      console.warn(`[WARN] Failed to destroy client ${entry.clientId}:`, e.message);
+    }
+  }));
+}
+
+/**
+ * Start restarting failed clients and checking for stuck startups
+ */
+function startClientSupervisor() {
+  startSupervisor({
+    restart: restartClient,
+    giveUp: markClientFailed,
+    listEntries: () => Array.from(clients.values())
+  });
+}
+
+/**
+ * Create and start a new client
+ * @param {string} owner - Owner of the session
+ * @param {number} expiryMs - Session lifetime (for sliding expiry: idle time allowed)
+ * @param {Object} [options] - { defaultRegion, puppeteerArgs, webVersion, pairingPhone, expiryPolicy }
+ * @returns {Object} - The registry entry
+ */
+function createClientEntry(owner, expiryMs, { defaultRegion = null, puppeteerArgs, webVersion, pairingPhone, expiryPolicy } = {}) {
+  const clientId = uuidv4();
+
+  console.log(`[DEBUG] Creating client with clientId: ${clientId}`);
+  const entry = {
+    client: null,
+    clientId,
+    owner,
+    status: 'initializing',
+    statusSince: Date.now(),
+    createdAt: Date.now(),
+    ...createExpiry({ policy: expiryPolicy, ttlMs: expiryMs }),
+    defaultRegion,
+    clientConfig: { puppeteerArgs, webVersion, pairingPhone },
+    qrDataUrl: null,
+    pairingCode: null,
+    pairingCodeExpiresAt: null,
+    lastSeen: Date.now()
+  };
+
+  startClient(entry);
   clients.set(clientId, entry);
-  saveRegistry(); // Save after adding new client
+  saveRegistry(entry); // Save after adding new client
   return entry;
 }
 
@@ -209,8 +452,13 @@ async function stopClient(clientId) {
   } catch (e) {
     console.error('Error destroying client', e);
   }
+  cancelRestart(clientId);
   clients.delete(clientId);
-  saveRegistry(); // Save after removing client
+  removeFromRegistry(clientId);
+  publishClientEvent(clientId, 'deleted', {});
+  removeClientWebhooks(clientId);
+  removeClientMessageStatuses(clientId);
+  resetExportCursors(clientId);
 
   // Attempt to remove LocalAuth folder
   const authPath = path.join(DATA_DIR, clientId);
@@ -233,36 +481,132 @@ function listClients() {
     status: e.status,
     createdAt: e.createdAt,
     expiresAt: e.expiresAt,
+    expiryPolicy: e.expiryPolicy,
     lastSeen: e.lastSeen
   }));
 }
 
 /**
- * Send message. media optional = { filename, mime, base64 }
+ * Extend or renew a client's session, optionally switching its expiry policy
+ * @param {string} clientId - Client ID
+ * @param {Object} [options] - { ms, policy } (see sessionExpiry.extendExpiry)
+ * @returns {Object|null} - The entry, null when not found
+ */
+function extendClientExpiry(clientId, options) {
+  const entry = clients.get(clientId);
+  if (!entry) return null;
+  extendExpiry(entry, options);
+  saveRegistry(entry);
+  console.log(`[INFO] Client ${clientId} expiry (${entry.expiryPolicy}) now ${entry.expiresAt ? new Date(entry.expiresAt).toISOString() : 'never'}`);
+  return entry;
+}
+
+/**
+ * Send due expiry warnings and persist expiry times moved by activity.
+ * Called every minute by the server's cleanup loop.
+ * @returns {Array<string>} - IDs of clients past their expiry, for the caller to stop
+ */
+function checkClientExpiry() {
+  const now = Date.now();
+  const expired = [];
+  for (const entry of clients.values()) {
+    const state = expiryState(entry, now);
+    if (state === 'expired') {
+      expired.push(entry.clientId);
+      continue;
+    }
+    if (state === 'warn') {
+      entry.expiryWarnedAt = now;
+      publish(entry.clientId, 'expiry_warning', {
+        expiresAt: entry.expiresAt,
+        expiresInMs: entry.expiresAt - now,
+        expiryPolicy: entry.expiryPolicy
+      });
+      console.log(`[INFO] Client ${entry.clientId} expires in ${Math.round((entry.expiresAt - now) / 60000)} min`);
+    }
+    if (state === 'warn' || entry.expiresAt !== entry.savedExpiresAt) saveRegistry(entry);
+  }
+  return expired;
+}
+
+/**
+ * Resolve the WhatsApp id of a phone number via getNumberId
+ * @param {string} clientId - Client ID
+ * @param {string} phone - Phone number (parsed with the client's default region) or chat id
+ * @returns {Promise<string|null>} - Serialized id (e.g. "919876543210@c.us"), null when not on WhatsApp
  */
-async function sendMessage(clientId, phone, message, media) {
+async function getWhatsAppId(clientId, phone) {
   const entry = clients.get(clientId);
   if (!entry) throw new Error('client not found');
   if (!entry.client) throw new Error('client not initialized');
 
+  const jid = toChatId(phone, entry.defaultRegion);
+  if (!jid.endsWith('@c.us')) return jid; // groups and other ids can't be looked up
+  const numberId = await entry.client.getNumberId(jid.replace('@c.us', ''));
+  return numberId ? numberId._serialized : null;
+}
+
+/**
+ * Send message. media optional = { filename, mime, base64 } or { filename, mime, filePath }
+ * content optional = type-specific fields, see messageTypes.js:
+ *   { type, quotedMessageId, sendAs, location, contact, poll, reaction }
+ */
+async function sendMessage(clientId, phone, message, media, content = {}) {
+  const entry = clients.get(clientId);
+  if (!entry) throw new Error('client not found');
+  if (!entry.client) throw new Error('client not initialized');
+  recordActivity(entry);
+
   const client = entry.client;
+  const type = content.type || (media ? 'media' : 'text');
+  const options = content.quotedMessageId ? { quotedMessageId: content.quotedMessageId } : {};
+
+  // Reactions target an existing message, which already identifies the chat
+  if (type === 'reaction') {
+    const target = await client.getMessageById(content.reaction.messageId);
+    if (!target) throw new Error('message to react to not found');
+    await target.react(content.reaction.emoji);
+    return { id: null };
+  }
+
+  const jid = toChatId(phone, entry.defaultRegion);
+
+  switch (type) {
+    case 'location': {
+      const { latitude, longitude, name, address, url } = content.location;
+      return client.sendMessage(jid, new Location(latitude, longitude, { name, address, url }), options);
+    }
 
-  // ✅ Use default country code if number does not start with a country code
-  const defaultCountryCode = process.env.DEFAULT_COUNTRY_CODE || '91';
-  let normalizedPhone = phone.toString().trim();
+    case 'contact': {
+      if (content.contact.vcard) {
+        return client.sendMessage(jid, content.contact.vcard, { ...options, parseVCards: true });
+      }
+      const contact = await client.getContactById(toChatId(content.contact.contactId, entry.defaultRegion));
+      return client.sendMessage(jid, contact, options);
+    }
 
-  // Check if number starts with country code (assume if it starts with '+' or already 11+ digits)
-  if (!normalizedPhone.startsWith('+') && normalizedPhone.length <= 10) {
-    normalizedPhone = defaultCountryCode + normalizedPhone;
+    case 'poll': {
+      const { question, options: answers, allowMultipleAnswers = false } = content.poll;
+      return client.sendMessage(jid, new Poll(question, answers, { allowMultipleAnswers }), options);
+    }
   }
 
-  const jid = normalizedPhone.includes('@') ? normalizedPhone : `${normalizedPhone}@c.us`;
+  // Media saved to disk once (e.g. shared by a broadcast) is read at send time
+  if (media && media.filePath && !media.base64) {
+    media = { ...media, base64: fs.readFileSync(media.filePath).toString('base64') };
+  }
 
   if (media && media.base64 && media.mime) {
     const mediaObj = new MessageMedia(media.mime, media.base64, media.filename || `file_${Date.now()}`);
-    return client.sendMessage(jid, mediaObj, { caption: message || '' });
+    return client.sendMessage(jid, mediaObj, {
+      ...options,
+      caption: message || '',
+      sendMediaAsDocument: content.sendAs === 'document',
+      sendMediaAsSticker: content.sendAs === 'sticker',
+      sendAudioAsVoice: content.sendAs === 'voice'
+    });
   } else {
-    return client.sendMessage(jid, message || '');
+    return client.sendMessage(jid, message || '', options);
   }
 }
 
@@ -594,326 +938,315 @@ async function getChatsWithReceivedAttachments(clientId, time) {
   }
 }
 
+// Progress hooks used when an export runs outside of a job
+const noopTracker = {
+  startChat() {},
+  setMessagesFetched() {},
+  mediaDownloaded() {},
+  chatError() {},
+  finishChat() {},
+  isCancelled() { return false; }
+};
+
+function cancelledError() {
+  const err = new Error('export cancelled');
+  err.code = 'EXPORT_CANCELLED';
+  return err;
+}
+
 /**
- * Fetch messages for multiple chats and export as ZIP
+ * Fetch messages for multiple chats and write them, with their media, into a ZIP
  * @param {string} clientId - Client ID
  * @param {Array<string>} chatIds - Array of chat IDs to export
- * @returns {Promise<string>} - Path to the created ZIP file
+ * @param {Object} [options]
+ * @param {boolean} [options.receivedOnly] - Skip messages sent by us
+ * @param {Array<string>} [options.formats] - Transcript formats (see exportFormats.js)
+ * @param {Object} [options.filters] - Message filters (see exportFilters.js)
+ * @param {string} [options.mode] - 'full' (default) or 'incremental': only messages after each chat's cursor (see exportCursors.js)
+ * @param {Object} [options.encryption] - { password } to encrypt the archive (see exportEncryption.js)
+ * @param {number} [options.retentionHours] - Keep the export this long instead of EXPORT_RETENTION_HOURS (see exportCatalog.js)
+ * @param {Object} [options.tracker] - Progress hooks (see jobs.js); cancels when isCancelled() returns true
+ * @returns {Promise<Object>} - Export details (exportId, ZIP file name and path)
  */
-async function fetchMessagesForChat(clientId, chatIds) {
+async function exportChats(clientId, chatIds, options = {}) {
+  const { receivedOnly = false, formats = DEFAULT_EXPORT_FORMATS, mode = 'full', encryption = null, retentionHours = null, tracker = noopTracker } = options;
+  const incremental = mode === 'incremental';
+  const filters = { ...(options.filters || parseExportFilters()), ...(receivedOnly ? { fromMe: false } : {}) };
   const entry = clients.get(clientId);
   if (!entry) throw new Error('client not found');
   if (entry.status !== 'ready') throw new Error('client not ready');
 
   const client = entry.client;
-  const exportId = `export_${Date.now()}`;
-  const exportFolder = path.join(DOWNLOADS_DIR, exportId);
-  
-  // Create main export folder
-  fs.mkdirSync(exportFolder, { recursive: true });
-  
-  console.log(`[DEBUG] Starting export for ${chatIds.length} chats to ${exportFolder}`);
+  const exportId = `${receivedOnly ? 'export_received' : 'export'}_${Date.now()}`;
+  const zipFilename = `${exportId}.zip${encryption ? ENCRYPTED_EXTENSION : ''}`;
+  const zipPath = path.join(DOWNLOADS_DIR, zipFilename);
+  const label = `${receivedOnly ? 'received messages only' : 'all messages'}, ${mode}`;
+  const ownName = (client.info && client.info.pushname) || 'You';
 
-  for (const chatId of chatIds) {
-    try {
-      console.log(`[DEBUG] Processing chat: ${chatId}`);
-      
-      // Create folder for this chat
-      const chatFolder = path.join(exportFolder, chatId.replace(/[^a-zA-Z0-9]/g, '_'));
-      fs.mkdirSync(chatFolder, { recursive: true });
+  // Transcripts and media are streamed into the ZIP as each chat is processed
+  const encryptStream = encryption ? await createEncryptStream(encryption.password, exportId) : undefined;
+  const archive = createExportArchive(zipPath, { encryptStream });
+  console.log(`[DEBUG] Starting export (${label}) for ${chatIds.length} chats to ${zipPath}`);
 
-      // Fetch the chat
-      const chat = await client.getChatById(chatId);
-      
-      // Fetch messages (adjust limit as needed)
-      const messages = await chat.fetchMessages({ limit: 10000 });
-      console.log(`[DEBUG] Fetched ${messages.length} messages for chat ${chatId}`);
-
-      const chatMessages = [];
-      let mediaCount = 0;
-
-      for (const msg of messages) {
-        // Collect message data
-        const messageData = {
-          id: msg.id.id,
-          timestamp: msg.timestamp,
-          body: msg.body,
-          from: msg.from,
-          to: msg.to,
-          fromMe: msg.fromMe,
-          type: msg.type,
-          hasMedia: msg.hasMedia
-        };
+  // Written to the root of the ZIP so the recipient can see what was exported and how
+  const manifest = {
+    exportId,
+    clientId,
+    createdAt: new Date().toISOString(),
+    completedAt: null,
+    receivedOnly,
+    mode,
+    formats,
+    filters: describeExportFilters(filters),
+    hashAlgorithm: 'sha256', // of every file listed under chats[].files; checked by POST /exports/verify
+    chats: []
+  };
+  // Cursors advance only once the ZIP exists, and only for chats exported without errors.
+  // Each endpoint and filter set has its own cursors, so this run can't skip messages for another.
+  const cursorScope = incremental ? exportCursorScope(receivedOnly, filters) : null;
+  const cursorUpdates = {};
 
-        chatMessages.push(messageData);
+  try {
+    for (const chatId of chatIds) {
+      if (tracker.isCancelled()) throw cancelledError();
+      tracker.startChat(chatId);
 
-        // Download media if present
-        if (msg.hasMedia) {
-          // Check if this is a downloadable media type
-          let shouldSkip = false;
-          let skipReason = '';
-          
-          try {
-            // Skip unsupported message types (interactive, buttons, polls, etc.)
-            const unsupportedTypes = ['interactive', 'buttons', 'list', 'poll', 'ciphertext', 'list_response', 'buttons_response'];
-            if (unsupportedTypes.includes(msg.type)) {
-              shouldSkip = true;
-              skipReason = `Unsupported media type: ${msg.type}`;
-            }
-            
-            // Additional check: inspect message object for interactive properties
-            if (!shouldSkip && msg._data) {
-              if (msg._data.isInteractive || msg._data.interactiveType) {
-                shouldSkip = true;
-                skipReason = 'Interactive message type detected in _data';
-              }
-              
-              // Check for buttons/list in raw data
-              if (msg._data.type === 'interactive' || msg._data.type === 'buttons' || msg._data.type === 'list') {
-                shouldSkip = true;
-                skipReason = `Interactive type in _data: ${msg._data.type}`;
-              }
-            }
-            
-            if (shouldSkip) {
-              console.log(`[DEBUG] Skipping message ${msg.id.id}: ${skipReason}`);
-              messageData.mediaSkipped = skipReason;
-              continue;
-            }
-            
-            console.log(`[DEBUG] Downloading media (type: ${msg.type}) for message ${msg.id.id}`);
-            const media = await msg.downloadMedia();
-            
-            if (media) {
-              const extension = getExtensionFromMime(media.mimetype);
-              const mediaFilename = `${msg.id.id}${extension}`;
-              const mediaPath = path.join(chatFolder, mediaFilename);
-              
-              // Save media file
-              fs.writeFileSync(mediaPath, Buffer.from(media.data, 'base64'));
-              mediaCount++;
-              
-              // Add media reference to message data
-              messageData.mediaFile = mediaFilename;
-              messageData.mimeType = media.mimetype;
-            }
-          } catch (mediaError) {
-            // Check if it's the "webMediaType is invalid" error
-            const errorMsg = mediaError.message || mediaError.toString();
-            if (errorMsg.includes('webMediaType is invalid') || errorMsg.includes('interactive')) {
-              console.log(`[WARN] Skipping unsupported/interactive media for message ${msg.id.id}`);
-              messageData.mediaSkipped = 'Unsupported interactive media type';
-            } else {
-              console.error(`[ERROR] Failed to download media for message ${msg.id.id}:`, mediaError.message);
-              messageData.mediaError = `Failed to download: ${mediaError.message}`;
-            }
-          }
-        }
-      }
+      const chatManifest = {
+        chatId,
+        chatName: null,
+        folder: chatId.replace(/[^a-zA-Z0-9]/g, '_'),
+        status: 'exported',
+        messagesScanned: 0,
+        messagesExported: 0,
+        mediaFiles: 0,
+        error: null,
+        files: [],
+        mediaIssues: [] // { messageId, mediaSkipped | mediaError }
+      };
+      const previousCursor = incremental ? getExportCursor(clientId, chatId, cursorScope.key) : null;
+      if (incremental) chatManifest.cursor = { previous: previousCursor, next: previousCursor };
+      manifest.chats.push(chatManifest);
 
-      // Write chat messages to chat.txt
-      const chatTextPath = path.join(chatFolder, 'chat.txt');
-      fs.writeFileSync(chatTextPath, JSON.stringify(chatMessages, null, 2));
-      
-      console.log(`[DEBUG] Exported chat ${chatId}: ${messages.length} messages, ${mediaCount} media files`);
-      
-    } catch (chatError) {
-      console.error(`[ERROR] Failed to process chat ${chatId}:`, chatError);
-      
-      // Create error file in chat folder
-      const errorFolder = path.join(exportFolder, chatId.replace(/[^a-zA-Z0-9]/g, '_'));
-      fs.mkdirSync(errorFolder, { recursive: true });
-      fs.writeFileSync(
-        path.join(errorFolder, 'error.txt'),
-        `Failed to export this chat: ${chatError.message}`
-      );
-    }
-  }
+      try {
+        console.log(`[DEBUG] Processing chat: ${chatId}`);
 
-  // Create ZIP archive
-  const zipFilename = `${exportId}.zip`;
-  const zipPath = path.join(DOWNLOADS_DIR, zipFilename);
-  
-  console.log(`[DEBUG] Creating ZIP archive: ${zipPath}`);
-  await createZipArchive(exportFolder, zipPath);
-  
-  // Clean up the temporary export folder
-  try {
-    fs.rmSync(exportFolder, { recursive: true, force: true });
-    console.log(`[DEBUG] Cleaned up temporary folder: ${exportFolder}`);
-  } catch (cleanupError) {
-    console.error(`[ERROR] Failed to cleanup temp folder:`, cleanupError);
-  }
+        // Fetch the chat
+        const chat = await client.getChatById(chatId);
+        
+        chatManifest.chatName = chat.name || null;
 
-  return {
-    zipFilename,
-    zipPath,
-    downloadUrl: `/downloads/${zipFilename}`,
-    exportedChats: chatIds.length
-  };
-}
+        // Scan the most recent messages; whatsapp-web.js can already drop the other direction
+        const fetchOptions = { limit: EXPORT_FETCH_LIMIT };
+        if (filters.fromMe !== null) fetchOptions.fromMe = filters.fromMe;
+        const messages = await chat.fetchMessages(fetchOptions);
+        console.log(`[DEBUG] Fetched ${messages.length} total messages for chat ${chatId}`);
 
-/**
- * Fetch ONLY received messages (not sent by us) for multiple chats and export as ZIP
- * @param {string} clientId - Client ID
- * @param {Array<string>} chatIds - Array of chat IDs to export
- * @returns {Promise<Object>} - Export details with download URL
- */
-async function fetchReceivedMessagesOnly(clientId, chatIds) {
-  const entry = clients.get(clientId);
-  if (!entry) throw new Error('client not found');
-  if (entry.status !== 'ready') throw new Error('client not ready');
+        const newMessages = messagesAfterCursor(messages, previousCursor);
+        if (previousCursor) console.log(`[DEBUG] ${newMessages.length} messages are newer than the export cursor`);
+        const selectedMessages = applyExportFilters(newMessages, filters, { keepOldest: incremental });
+        console.log(`[DEBUG] ${selectedMessages.length} messages match the export filters`);
+        chatManifest.messagesScanned = messages.length;
+        chatManifest.messagesExported = selectedMessages.length;
+        tracker.setMessagesFetched(chatId, selectedMessages.length);
 
-  const client = entry.client;
-  const exportId = `export_received_${Date.now()}`;
-  const exportFolder = path.join(DOWNLOADS_DIR, exportId);
-  
-  // Create main export folder
-  fs.mkdirSync(exportFolder, { recursive: true });
-  
-  console.log(`[DEBUG] Starting export of RECEIVED messages only for ${chatIds.length} chats to ${exportFolder}`);
+        const chatMessages = [];
+        let mediaCount = 0;
 
-  for (const chatId of chatIds) {
-    try {
-      console.log(`[DEBUG] Processing chat: ${chatId}`);
-      
-      // Create folder for this chat
-      const chatFolder = path.join(exportFolder, chatId.replace(/[^a-zA-Z0-9]/g, '_'));
-      fs.mkdirSync(chatFolder, { recursive: true });
+        for (const msg of selectedMessages) {
+          if (tracker.isCancelled()) throw cancelledError();
 
-      // Fetch the chat
-      const chat = await client.getChatById(chatId);
-      
-      // Fetch messages (adjust limit as needed)
-      const messages = await chat.fetchMessages({ limit: 10000 });
-      console.log(`[DEBUG] Fetched ${messages.length} total messages for chat ${chatId}`);
-
-      // Filter only received messages (fromMe = false)
-      const receivedMessages = messages.filter(msg => !msg.fromMe);
-      console.log(`[DEBUG] Filtered to ${receivedMessages.length} received messages (excluding sent messages)`);
-
-      const chatMessages = [];
-      let mediaCount = 0;
-
-      for (const msg of receivedMessages) {
-        // Collect message data
-        const messageData = {
-          id: msg.id.id,
-          timestamp: msg.timestamp,
-          body: msg.body,
-          from: msg.from,
-          to: msg.to,
-          fromMe: msg.fromMe, // Will always be false
-          type: msg.type,
-          hasMedia: msg.hasMedia
-        };
+          // Collect message data
+          const sender = msg.author || msg.from; // author is set in groups
+          const messageData = {
+            id: msg.id.id,
+            timestamp: msg.timestamp,
+            body: msg.body,
+            from: msg.from,
+            to: msg.to,
+            author: msg.author || null,
+            senderName: msg.fromMe
+              ? ownName
+              : (msg._data && msg._data.notifyName) || `+${String(sender).split('@')[0]}`,
+            fromMe: msg.fromMe,
+            type: msg.type,
+            hasMedia: msg.hasMedia
+          };
 
-        chatMessages.push(messageData);
+          chatMessages.push(messageData);
 
-        // Download media if present
-        if (msg.hasMedia) {
-          // Check if this is a downloadable media type
-          let shouldSkip = false;
-          let skipReason = '';
-          
-          try {
-            // Skip unsupported message types (interactive, buttons, polls, etc.)
-            const unsupportedTypes = ['interactive', 'buttons', 'list', 'poll', 'ciphertext', 'list_response', 'buttons_response'];
-            if (unsupportedTypes.includes(msg.type)) {
-              shouldSkip = true;
-              skipReason = `Unsupported media type: ${msg.type}`;
-            }
+          // Download media if present
+          if (msg.hasMedia) {
+            // Check if this is a downloadable media type
+            let shouldSkip = false;
+            let skipReason = '';
             
-            // Additional check: inspect message object for interactive properties
-            if (!shouldSkip && msg._data) {
-              if (msg._data.isInteractive || msg._data.interactiveType) {
+            try {
+              // Skip unsupported message types (interactive, buttons, polls, etc.)
+              const unsupportedTypes = ['interactive', 'buttons', 'list', 'poll', 'ciphertext', 'list_response', 'buttons_response'];
+              if (unsupportedTypes.includes(msg.type)) {
                 shouldSkip = true;
-                skipReason = 'Interactive message type detected in _data';
+                skipReason = `Unsupported media type: ${msg.type}`;
               }
               
-              // Check for buttons/list in raw data
-              if (msg._data.type === 'interactive' || msg._data.type === 'buttons' || msg._data.type === 'list') {
-                shouldSkip = true;
-                skipReason = `Interactive type in _data: ${msg._data.type}`;
+              // Additional check: inspect message object for interactive properties
+              if (!shouldSkip && msg._data) {
+                if (msg._data.isInteractive || msg._data.interactiveType) {
+                  shouldSkip = true;
+                  skipReason = 'Interactive message type detected in _data';
+                }
+                
+                // Check for buttons/list in raw data
+                if (msg._data.type === 'interactive' || msg._data.type === 'buttons' || msg._data.type === 'list') {
+                  shouldSkip = true;
+                  skipReason = `Interactive type in _data: ${msg._data.type}`;
+                }
               }
-            }
-            
-            if (shouldSkip) {
-              console.log(`[DEBUG] Skipping message ${msg.id.id}: ${skipReason}`);
-              messageData.mediaSkipped = skipReason;
-              continue;
-            }
-            
-            console.log(`[DEBUG] Downloading media (type: ${msg.type}) for received message ${msg.id.id}`);
-            const media = await msg.downloadMedia();
-            
-            if (media) {
-              const extension = getExtensionFromMime(media.mimetype);
-              const mediaFilename = `${msg.id.id}${extension}`;
-              const mediaPath = path.join(chatFolder, mediaFilename);
               
-              // Save media file
-              fs.writeFileSync(mediaPath, Buffer.from(media.data, 'base64'));
-              mediaCount++;
+              if (shouldSkip) {
+                console.log(`[DEBUG] Skipping message ${msg.id.id}: ${skipReason}`);
+                messageData.mediaSkipped = skipReason;
+                continue;
+              }
               
-              // Add media reference to message data
-              messageData.mediaFile = mediaFilename;
-              messageData.mimeType = media.mimetype;
-            }
-          } catch (mediaError) {
-            // Check if it's the "webMediaType is invalid" error
-            const errorMsg = mediaError.message || mediaError.toString();
-            if (errorMsg.includes('webMediaType is invalid') || errorMsg.includes('interactive')) {
-              console.log(`[WARN] Skipping unsupported/interactive media for message ${msg.id.id}`);
-              messageData.mediaSkipped = 'Unsupported interactive media type';
-            } else {
-              console.error(`[ERROR] Failed to download media for message ${msg.id.id}:`, mediaError.message);
-              messageData.mediaError = `Failed to download: ${mediaError.message}`;
+              console.log(`[DEBUG] Downloading media (type: ${msg.type}) for message ${msg.id.id}`);
+              const media = await msg.downloadMedia();
+              
+              if (media) {
+                const extension = getExtensionFromMime(media.mimetype);
+                const mediaFilename = `${msg.id.id}${extension}`;
+                
+                // Add media file to the ZIP
+                chatManifest.files.push(await archive.append(
+                  `${chatManifest.folder}/${mediaFilename}`,
+                  Buffer.from(media.data, 'base64'),
+                  { mimeType: media.mimetype }
+                ));
+                mediaCount++;
+                tracker.mediaDownloaded(chatId);
+                
+                // Add media reference to message data
+                messageData.mediaFile = mediaFilename;
+                messageData.mimeType = media.mimetype;
+              }
+            } catch (mediaError) {
+              if (mediaError.code === 'EXPORT_ARCHIVE_FAILED') throw mediaError;
+              // Check if it's the "webMediaType is invalid" error
+              const errorMsg = mediaError.message || mediaError.toString();
+              if (errorMsg.includes('webMediaType is invalid') || errorMsg.includes('interactive')) {
+                console.log(`[WARN] Skipping unsupported/interactive media for message ${msg.id.id}`);
+                messageData.mediaSkipped = 'Unsupported interactive media type';
+              } else {
+                console.error(`[ERROR] Failed to download media for message ${msg.id.id}:`, mediaError.message);
+                messageData.mediaError = `Failed to download: ${mediaError.message}`;
+                tracker.chatError(chatId, `message ${msg.id.id}: ${messageData.mediaError}`);
+              }
             }
           }
         }
-      }
 
-      // Write chat messages to chat.txt
-      const chatTextPath = path.join(chatFolder, 'chat.txt');
-      fs.writeFileSync(chatTextPath, JSON.stringify(chatMessages, null, 2));
-      
-      console.log(`[DEBUG] Exported received messages for chat ${chatId}: ${receivedMessages.length} messages (from ${messages.length} total), ${mediaCount} media files`);
-      
-    } catch (chatError) {
-      console.error(`[ERROR] Failed to process chat ${chatId}:`, chatError);
-      
-      // Create error file in chat folder
-      const errorFolder = path.join(exportFolder, chatId.replace(/[^a-zA-Z0-9]/g, '_'));
-      fs.mkdirSync(errorFolder, { recursive: true });
-      fs.writeFileSync(
-        path.join(errorFolder, 'error.txt'),
-        `Failed to export this chat: ${chatError.message}`
-      );
+        chatManifest.mediaFiles = mediaCount;
+        chatManifest.mediaIssues = chatMessages
+          .filter(m => m.mediaSkipped || m.mediaError)
+          .map(m => (m.mediaError ? { messageId: m.id, mediaError: m.mediaError } : { messageId: m.id, mediaSkipped: m.mediaSkipped }));
+        const transcripts = renderChatTranscripts({
+          chatId,
+          chatName: chatManifest.chatName,
+          exportedAt: Date.now(),
+          messages: chatMessages
+        }, formats);
+        for (const { filename, content } of transcripts) {
+          chatManifest.files.push(await archive.append(`${chatManifest.folder}/${filename}`, content));
+        }
+        if (incremental) {
+          // Stop before the first failed media download so the next run retries it
+          const failedAt = chatMessages.findIndex(m => m.mediaError);
+          const done = failedAt === -1 ? chatMessages : chatMessages.slice(0, failedAt);
+          const nextCursor = advanceCursor(previousCursor, done, exportId);
+          chatManifest.cursor.next = nextCursor;
+          if (nextCursor !== previousCursor) cursorUpdates[chatId] = nextCursor;
+        }
+        tracker.finishChat(chatId);
+        
+        console.log(`[DEBUG] Exported chat ${chatId}: ${selectedMessages.length} messages (from ${messages.length} total), ${mediaCount} media files`);
+        
+      } catch (chatError) {
+        if (chatError.code === 'EXPORT_CANCELLED' || chatError.code === 'EXPORT_ARCHIVE_FAILED') throw chatError;
+        console.error(`[ERROR] Failed to process chat ${chatId}:`, chatError);
+        tracker.chatError(chatId, chatError.message);
+        tracker.finishChat(chatId, true);
+        chatManifest.status = 'failed';
+        chatManifest.error = chatError.message;
+        
+        // Error file in the chat's folder
+        chatManifest.files.push(await archive.append(`${chatManifest.folder}/error.txt`, `Failed to export this chat: ${chatError.message}`));
+      }
     }
-  }
 
-  // Create ZIP archive
-  const zipFilename = `${exportId}.zip`;
-  const zipPath = path.join(DOWNLOADS_DIR, zipFilename);
-  
-  console.log(`[DEBUG] Creating ZIP archive: ${zipPath}`);
-  await createZipArchive(exportFolder, zipPath);
-  
-  // Clean up the temporary export folder
-  try {
-    fs.rmSync(exportFolder, { recursive: true, force: true });
-    console.log(`[DEBUG] Cleaned up temporary folder: ${exportFolder}`);
-  } catch (cleanupError) {
-    console.error(`[ERROR] Failed to cleanup temp folder:`, cleanupError);
+    manifest.completedAt = new Date().toISOString();
+    // Keep manifestSha256 alongside the ZIP: it proves the manifest itself was not replaced
+    const { sha256: manifestSha256 } = await archive.append('manifest.json', JSON.stringify(manifest, null, 2));
+    const size = await archive.finalize();
+    if (incremental) saveExportCursors(clientId, cursorScope, cursorUpdates);
+    const record = recordExport({
+      exportId,
+      clientId,
+      owner: entry.owner,
+      filename: zipFilename,
+      size,
+      encrypted: Boolean(encryption),
+      receivedOnly,
+      mode,
+      formats,
+      chats: manifest.chats.map(({ chatId, chatName, status, messagesExported, mediaFiles }) => ({
+        chatId, chatName, status, messagesExported, mediaFiles
+      })),
+      manifestSha256,
+      retentionHours
+    });
+
+    // Downloads need a signed link (see downloadLinks.js), issued for exportId
+    return {
+      exportId,
+      zipFilename,
+      zipPath,
+      exportedChats: chatIds.length,
+      mode,
+      formats,
+      filters: manifest.filters,
+      encrypted: Boolean(encryption),
+      manifestSha256,
+      expiresAt: getExportExpiry(record)
+    };
+  } catch (error) {
+    // Discard the partial ZIP on failure or cancellation
+    archive.abort();
+    console.log(`[DEBUG] Discarded partial export: ${zipPath}`);
+    throw error;
   }
+}
 
-  return {
-    zipFilename,
-    zipPath,
-    downloadUrl: `/downloads/${zipFilename}`,
-    exportedChats: chatIds.length
-  };
+/**
+ * Fetch messages for multiple chats and export as ZIP
+ * @param {string} clientId - Client ID
+ * @param {Array<string>} chatIds - Array of chat IDs to export
+ * @param {Object} [tracker] - Optional progress hooks
+ * @param {Object} [options] - { formats, filters, mode, encryption, retentionHours }
+ * @returns {Promise<Object>} - Export details (exportId, ZIP file name and path)
+ */
+async function fetchMessagesForChat(clientId, chatIds, tracker, options = {}) {
+  return exportChats(clientId, chatIds, { ...options, tracker });
+}
+
+/**
+ * Fetch ONLY received messages (not sent by us) for multiple chats and export as ZIP
+ * @param {string} clientId - Client ID
+ * @param {Array<string>} chatIds - Array of chat IDs to export
+ * @param {Object} [tracker] - Optional progress hooks
+ * @param {Object} [options] - { formats, filters, mode, encryption, retentionHours }
+ * @returns {Promise<Object>} - Export details (exportId, ZIP file name and path)
+ */
+async function fetchReceivedMessagesOnly(clientId, chatIds, tracker, options = {}) {
+  return exportChats(clientId, chatIds, { ...options, receivedOnly: true, tracker });
 }
 
 /**
@@ -928,6 +1261,7 @@ async function reconnectPersistedClients() {
       // Skip expired clients
       if (metadata.expiresAt && metadata.expiresAt < now) {
         console.log(`[INFO] Skipping expired client ${clientId}`);
+        removeFromRegistry(clientId);
         continue;
       }
       
@@ -935,118 +1269,38 @@ async function reconnectPersistedClients() {
       const wwebjsAuthPath = path.join(process.cwd(), '.wwebjs_auth', 'session-' + clientId);
       if (!fs.existsSync(wwebjsAuthPath)) {
         console.log(`[WARN] No session found for client ${clientId}, skipping reconnection`);
+        removeFromRegistry(clientId);
         continue;
       }
       
       console.log(`[INFO] Reconnecting client ${clientId}...`);
-      
-      // Recreate the client with same ID
-      const client = new Client({
-        authStrategy: new LocalAuth({ clientId }),
-        puppeteer: {
-          headless: true,
-          args: [
-            '--no-sandbox',
-            '--disable-setuid-sandbox',
-            '--disable-dev-shm-usage',
-            '--disable-accelerated-2d-canvas',
-            '--no-first-run',
-            '--disable-gpu'
-          ],
-          executablePath: process.env.PUPPETEER_EXECUTABLE_PATH || '/usr/bin/chromium',
-          timeout: 60000
-        },
-        takeoverOnConflict: true,
-        webVersionCache: {
-          type: 'remote',
-          remotePath: 'https://raw.githubusercontent.com/wppconnect-team/wa-version/main/html/2.2412.54.html'
-        }
-      });
-      
+
+      // Recreate the client with same ID and configuration
       const entry = {
-        client,
+        client: null,
         clientId,
         owner: metadata.owner,
         status: 'reconnecting',
+        statusSince: Date.now(),
         createdAt: metadata.createdAt,
         expiresAt: metadata.expiresAt,
+        expiryPolicy: metadata.expiryPolicy || 'fixed',
+        sessionTtlMs: metadata.sessionTtlMs || SESSION_TTL_MS,
+        expiryWarnedAt: metadata.expiryWarnedAt || null,
+        defaultRegion: metadata.defaultRegion || null,
+        clientConfig: metadata.clientConfig || {},
         qrDataUrl: null,
+        pairingCode: null,
+        pairingCodeExpiresAt: null,
         lastSeen: Date.now()
       };
-      
-      // Set up event handlers (same as createClientEntry)
-      client.on('qr', async (qr) => {
-        console.log(`[DEBUG] QR event for reconnected client ${clientId}`);
-        try {
-          const dataUrl = await qrcode.toDataURL(qr);
-          entry.qrDataUrl = dataUrl;
-          entry.status = 'qr';
-          entry.lastSeen = Date.now();
-          saveRegistry();
-        } catch (e) {
-          console.error('[ERROR] QR error', e);
-        }
-      });
-      
-      client.on('ready', () => {
-        entry.status = 'ready';
-        entry.qrDataUrl = null;
-        entry.lastSeen = Date.now();
-        console.log(`[INFO] Client ${clientId} reconnected successfully`);
-        saveRegistry();
-      });
-      
-      client.on('authenticated', () => {
-        entry.status = 'authenticated';
-        entry.lastSeen = Date.now();
-        saveRegistry();
-      });
-      
-      client.on('auth_failure', (msg) => {
-        console.warn(`[WARN] Reconnect auth failure for ${clientId}:`, msg);
-        entry.status = 'auth_failure';
-        entry.lastSeen = Date.now();
-        saveRegistry();
-      });
-      
-      client.on('disconnected', async (reason) => {
-        console.log(`[DEBUG] Reconnected client ${clientId} disconnected:`, reason);
-        entry.status = 'disconnected';
-        entry.lastSeen = Date.now();
-        
-        if (reason === 'LOGOUT') {
-          console.log(`[INFO] Client ${clientId} logged out during reconnect`);
-          try {
-            await client.destroy();
-            clients.delete(clientId);
-            saveRegistry();
-          } catch (e) {
-            console.error(`[ERROR] Cleanup error:`, e);
-          }
-        }
-      });
-      
-      client.on('error', (error) => {
-        console.error(`[ERROR] Reconnected client ${clientId} error:`, error);
-        try {
-          if (error.message && error.message.includes('Execution context was destroyed')) {
-            entry.status = 'disconnected';
-          }
-        } catch (e) {
-          console.error(`[ERROR] Error handler error:`, e);
-        }
-      });
-      
+
+      // One client at a time, so a restart doesn't launch every browser at once
+      const initializing = startClient(entry);
       clients.set(clientId, entry);
-      
-      // Initialize the client
-      try {
-        await client.initialize();
-        console.log(`[INFO] Client ${clientId} initialization started`);
-      } catch (e) {
-        console.error(`[ERROR] Failed to initialize ${clientId}:`, e);
-      }
-      
+      saveRegistry(entry); // Same as a new client: persist the status it starts with
+      await initializing;
+      console.log(`[INFO] Client ${clientId} initialization started`);
     } catch (error) {
       console.error(`[ERROR] Failed to reconnect client ${clientId}:`, error);
     }
@@ -1058,13 +1312,21 @@ async function reconnectPersistedClients() {
 module.exports = {
   createClientEntry,
   getClientEntry,
+  requestPairingCode,
+  extendClientExpiry,
+  checkClientExpiry,
+  shutdownClients,
   stopClient,
   deleteClient,
   listClients,
   sendMessage,
+  getWhatsAppId,
   getChatsAccordingToTime,
   fetchMessagesForChat,
   fetchReceivedMessagesOnly,
   getChatsWithReceivedAttachments,
-  reconnectPersistedClients
+  reconnectPersistedClients,
+  flushRegistry,
+  startClientSupervisor,
+  closeRegistry
 };
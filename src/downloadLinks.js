@@ -0,0 +1,237 @@
+// Signed download links for exports. A link carries a token `<payload>.<signature>` where the
+// payload names the token, the export and the expiry, and the signature is an HMAC-SHA256 with
+// the server's signing key. Download counts are tracked per token in data/download-tokens.json,
+// so links can be limited to N downloads (1 = single use) and every download is logged
+// against its token.
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { EXPORT_MAX_RETENTION_HOURS, getExportExpiry } = require('./exportCatalog');
+
+const DATA_DIR = path.resolve(process.cwd(), 'data');
+const TOKENS_FILE = path.join(DATA_DIR, 'download-tokens.json');
+const KEY_FILE = path.join(DATA_DIR, 'download-signing.key');
+
+const DOWNLOAD_LINK_TTL_MINUTES = Number(process.env.DOWNLOAD_LINK_TTL_MINUTES || 60);
+// Downloads allowed per link by default; 0 = unlimited until it expires
+const DOWNLOAD_LINK_MAX_DOWNLOADS = Number(process.env.DOWNLOAD_LINK_MAX_DOWNLOADS || 0);
+// Links can't outlive the exports they point to (see also issueDownloadLink())
+const MAX_LINK_TTL_MINUTES = EXPORT_MAX_RETENTION_HOURS * 60;
+
+if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
+
+/**
+ * DOWNLOAD_SIGNING_SECRET, or a random key generated once and kept in data/
+ * so links stay valid across restarts
+ */
+function loadSigningKey() {
+  if (process.env.DOWNLOAD_SIGNING_SECRET) return Buffer.from(process.env.DOWNLOAD_SIGNING_SECRET);
+  try {
+    if (fs.existsSync(KEY_FILE)) return Buffer.from(fs.readFileSync(KEY_FILE, 'utf8').trim(), 'hex');
+    const key = crypto.randomBytes(32);
+    fs.writeFileSync(KEY_FILE, key.toString('hex'), { mode: 0o600 });
+    console.log('[INFO] Generated download link signing key in data/download-signing.key');
+    return key;
+  } catch (error) {
+    console.error('[ERROR] Failed to load download signing key, links will not survive a restart:', error);
+    return crypto.randomBytes(32);
+  }
+}
+
+const signingKey = loadSigningKey();
+
+/*
+  tokens: {
+    tokenId: { tokenId, exportId, issuedBy, issuedAt, expiresAt, maxDownloads, downloads, lastDownloadAt, lastDownloadIp }
+  }
+*/
+let tokens = {};
+
+function saveTokens() {
+  try {
+    fs.writeFileSync(TOKENS_FILE, JSON.stringify(tokens, null, 2));
+  } catch (error) {
+    console.error('[ERROR] Failed to save download tokens:', error);
+  }
+}
+
+function loadTokens() {
+  try {
+    if (fs.existsSync(TOKENS_FILE)) {
+      tokens = JSON.parse(fs.readFileSync(TOKENS_FILE, 'utf8'));
+    }
+  } catch (error) {
+    console.error('[ERROR] Failed to load download tokens:', error);
+  }
+}
+
+loadTokens();
+
+function linkError(message, code, status) {
+  const err = new Error(message);
+  err.code = code;
+  err.status = status;
+  return err;
+}
+
+function sign(payload) {
+  return crypto.createHmac('sha256', signingKey).update(payload).digest('base64url');
+}
+
+/**
+ * Parse the options of a link request
+ * @param {Object} [body] - { expiresInMinutes, maxDownloads }
+ * @returns {Object} - { ttlMs, maxDownloads }
+ * @throws {Error} - code INVALID_LINK_OPTIONS
+ */
+function parseLinkOptions(body = {}) {
+  const { expiresInMinutes = DOWNLOAD_LINK_TTL_MINUTES, maxDownloads = DOWNLOAD_LINK_MAX_DOWNLOADS } = body;
+  if (!Number.isInteger(expiresInMinutes) || expiresInMinutes < 1 || expiresInMinutes > MAX_LINK_TTL_MINUTES) {
+    throw linkError(`expiresInMinutes must be an integer between 1 and ${MAX_LINK_TTL_MINUTES}`, 'INVALID_LINK_OPTIONS', 400);
+  }
+  if (!Number.isInteger(maxDownloads) || maxDownloads < 0) {
+    throw linkError('maxDownloads must be a non-negative integer (0 = unlimited)', 'INVALID_LINK_OPTIONS', 400);
+  }
+  return { ttlMs: expiresInMinutes * 60 * 1000, maxDownloads };
+}
+
+/**
+ * Issue a signed download link for an export
+ * @param {Object} exportRecord - From exportCatalog ({ exportId, filename, createdAt, retentionHours })
+ * @param {Object} [options] - { ttlMs, maxDownloads, issuedBy } (defaults from the environment)
+ * @returns {Object} - { url, tokenId, expiresAt, maxDownloads }; expiresAt is capped at the export's expiry
+ */
+function issueDownloadLink(exportRecord, { ttlMs = DOWNLOAD_LINK_TTL_MINUTES * 60 * 1000, maxDownloads = DOWNLOAD_LINK_MAX_DOWNLOADS, issuedBy = null } = {}) {
+  const tokenId = crypto.randomBytes(9).toString('base64url');
+  const expiresAt = Math.min(Date.now() + ttlMs, getExportExpiry(exportRecord));
+  tokens[tokenId] = {
+    tokenId,
+    exportId: exportRecord.exportId,
+    issuedBy,
+    issuedAt: Date.now(),
+    expiresAt,
+    maxDownloads,
+    downloads: 0,
+    lastDownloadAt: null,
+    lastDownloadIp: null
+  };
+  saveTokens();
+
+  const payload = Buffer.from(JSON.stringify({ t: tokenId, e: exportRecord.exportId, x: expiresAt })).toString('base64url');
+  const token = `${payload}.${sign(payload)}`;
+  return {
+    url: `/downloads/${exportRecord.filename}?token=${token}`,
+    tokenId,
+    expiresAt,
+    maxDownloads
+  };
+}
+
+/**
+ * Check a token for a download without counting it (HEAD requests, and before the file checks)
+ * @param {string} token - ?token= of the request
+ * @param {Function} findExport - exportId -> export record
+ * @param {string} filename - Requested file
+ * @returns {Object} - The token state
+ * @throws {Error} - with code and HTTP status: DOWNLOAD_TOKEN_REQUIRED 401, DOWNLOAD_TOKEN_INVALID 403,
+ *                   DOWNLOAD_TOKEN_EXPIRED 410, DOWNLOAD_LIMIT_REACHED 410
+ */
+function checkDownloadToken(token, findExport, filename) {
+  if (!token || typeof token !== 'string') {
+    throw linkError('a signed download link is required', 'DOWNLOAD_TOKEN_REQUIRED', 401);
+  }
+  const [payload, signature = ''] = token.split('.');
+  const expected = sign(payload);
+  if (signature.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    throw linkError('invalid download token', 'DOWNLOAD_TOKEN_INVALID', 403);
+  }
+
+  const { t: tokenId, e: exportId, x: expiresAt } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  const state = tokens[tokenId];
+  const exportRecord = findExport(exportId);
+  if (!state || !exportRecord || exportRecord.filename !== filename) {
+    throw linkError('invalid download token', 'DOWNLOAD_TOKEN_INVALID', 403);
+  }
+  if (Date.now() > expiresAt) {
+    throw linkError('download link has expired', 'DOWNLOAD_TOKEN_EXPIRED', 410);
+  }
+  if (state.maxDownloads && state.downloads >= state.maxDownloads) {
+    throw linkError('download link has been used up', 'DOWNLOAD_LIMIT_REACHED', 410);
+  }
+  return state;
+}
+
+/**
+ * Check a token and count the download against it. Call right before streaming the file,
+ * so requests that fail (missing file, too large) don't use up the link.
+ * @param {string} ip - Client IP, kept as lastDownloadIp
+ * @returns {Object} - The token state after counting
+ * @throws {Error} - As checkDownloadToken()
+ */
+function redeemDownloadToken(token, findExport, filename, ip) {
+  const state = checkDownloadToken(token, findExport, filename);
+
+  // Counted when the download starts, so a single-use link can't be fetched twice in parallel
+  state.downloads++;
+  state.lastDownloadAt = Date.now();
+  state.lastDownloadIp = ip;
+  saveTokens();
+  return state;
+}
+
+/**
+ * Links of an export that can still be used
+ * @returns {Array<Object>} - { tokenId, issuedBy, issuedAt, expiresAt, maxDownloads, downloads, lastDownloadAt }
+ */
+function listDownloadTokens(exportId) {
+  const now = Date.now();
+  return Object.values(tokens)
+    .filter(state => state.exportId === exportId && state.expiresAt >= now)
+    .map(({ tokenId, issuedBy, issuedAt, expiresAt, maxDownloads, downloads, lastDownloadAt }) => ({
+      tokenId, issuedBy, issuedAt, expiresAt, maxDownloads, downloads, lastDownloadAt
+    }));
+}
+
+/**
+ * Invalidate every link of an export (the export was deleted)
+ * @returns {number} - Tokens revoked
+ */
+function revokeDownloadTokens(exportId) {
+  let removed = 0;
+  for (const [tokenId, state] of Object.entries(tokens)) {
+    if (state.exportId === exportId) {
+      delete tokens[tokenId];
+      removed++;
+    }
+  }
+  if (removed) saveTokens();
+  return removed;
+}
+
+/**
+ * Drop expired tokens
+ * @returns {number} - Tokens dropped
+ */
+function pruneDownloadTokens() {
+  const now = Date.now();
+  let removed = 0;
+  for (const [tokenId, state] of Object.entries(tokens)) {
+    if (state.expiresAt < now) {
+      delete tokens[tokenId];
+      removed++;
+    }
+  }
+  if (removed) saveTokens();
+  return removed;
+}
+
+module.exports = {
+  DOWNLOAD_LINK_TTL_MINUTES,
+  parseLinkOptions,
+  issueDownloadLink,
+  checkDownloadToken,
+  redeemDownloadToken,
+  listDownloadTokens,
+  revokeDownloadTokens,
+  pruneDownloadTokens
+};
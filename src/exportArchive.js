@@ -0,0 +1,137 @@
+// Streaming ZIP writer for chat exports. Transcripts and media go straight into the archive
+// as they are produced, so an export never has a folder on disk. The ZIP is written to
+// <name>.zip.partial and renamed once complete; sweepOrphanedExports() removes what a crash leaves.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const archiver = require('archiver');
+const { DOWNLOADS_DIR } = require('./utils');
+
+// zlib level for transcripts and compressible media (0 = store everything, 9 = smallest)
+const EXPORT_COMPRESSION_LEVEL = Math.min(Math.max(Number(process.env.EXPORT_COMPRESSION_LEVEL || 6), 0), 9);
+const PARTIAL_SUFFIX = '.partial';
+
+// Already compressed formats are stored as-is: deflating them costs CPU and saves nothing
+const COMPRESSED_MIME_PATTERN = /^(image\/(jpeg|png|gif|webp)|video\/|audio\/(?!wav|x-wav)|application\/(zip|gzip|x-7z-compressed|x-rar-compressed))/;
+
+function isCompressedMime(mimeType) {
+  return COMPRESSED_MIME_PATTERN.test(mimeType || '');
+}
+
+/**
+ * Open a ZIP for writing
+ * @param {string} zipPath - Final path of the ZIP
+ * @param {Object} [options]
+ * @param {Transform} [options.encryptStream] - Encrypts the ZIP on its way to disk (see exportEncryption.js)
+ * @returns {Object} - { append(name, data, { mimeType }), finalize(), abort() }
+ */
+function createExportArchive(zipPath, { encryptStream } = {}) {
+  const partialPath = zipPath + PARTIAL_SUFFIX;
+  const output = fs.createWriteStream(partialPath);
+  const archive = archiver('zip', { zlib: { level: EXPORT_COMPRESSION_LEVEL } });
+  // archiver processes entries in order; each append() waits for its entry so that
+  // media buffers are not piled up in memory faster than they are compressed
+  const pending = [];
+  let failure = null;
+
+  const fail = (err) => {
+    if (failure) return;
+    console.error('[ERROR] Archive error:', err);
+    failure = new Error(`export archive failed: ${err.message}`);
+    failure.code = 'EXPORT_ARCHIVE_FAILED';
+    while (pending.length) pending.shift().reject(failure);
+  };
+
+  archive.on('entry', () => {
+    const next = pending.shift();
+    if (next) next.resolve();
+  });
+  archive.on('warning', err => console.warn('[WARN] Archive warning:', err.message));
+  archive.on('error', fail);
+  output.on('error', fail);
+  if (encryptStream) {
+    encryptStream.on('error', fail);
+    archive.pipe(encryptStream).pipe(output);
+  } else {
+    archive.pipe(output);
+  }
+
+  return {
+    /**
+     * Add a file
+     * @param {string} name - Path inside the ZIP
+     * @param {Buffer|string} data - File contents
+     * @param {Object} [options] - { mimeType } to store already compressed media uncompressed
+     * @returns {Promise<Object>} - { name, size, sha256 } once the entry is written
+     */
+    append(name, data, { mimeType } = {}) {
+      if (failure) return Promise.reject(failure);
+      const buffer = Buffer.isBuffer(data) ? data : Buffer.from(data);
+      const file = { name, size: buffer.length, sha256: crypto.createHash('sha256').update(buffer).digest('hex') };
+      return new Promise((resolve, reject) => {
+        pending.push({ resolve: () => resolve(file), reject });
+        archive.append(buffer, { name, store: EXPORT_COMPRESSION_LEVEL === 0 || isCompressedMime(mimeType) });
+      });
+    },
+
+    /**
+     * Finish the ZIP and move it to zipPath
+     * @returns {Promise<number>} - Size in bytes
+     */
+    async finalize() {
+      if (failure) throw failure;
+      await new Promise((resolve, reject) => {
+        output.on('close', resolve);
+        output.on('error', () => reject(failure));
+        archive.on('error', () => reject(failure));
+        archive.finalize();
+      });
+      fs.renameSync(partialPath, zipPath);
+      console.log(`[DEBUG] ZIP created: ${zipPath} (${output.bytesWritten} bytes${encryptStream ? ', encrypted' : ''})`);
+      return output.bytesWritten;
+    },
+
+    /**
+     * Discard the ZIP (failed or cancelled export)
+     */
+    abort() {
+      archive.abort();
+      if (encryptStream) encryptStream.destroy();
+      output.destroy();
+      try {
+        fs.rmSync(partialPath, { force: true });
+      } catch (error) {
+        console.error(`[ERROR] Failed to remove partial export ${partialPath}:`, error);
+      }
+    }
+  };
+}
+
+/**
+ * Remove leftovers of exports interrupted by a crash or kill: *.partial ZIPs and export_*
+ * folders from before exports were streamed. Run at startup, before any export can start.
+ * @returns {number} - Entries removed
+ */
+function sweepOrphanedExports() {
+  let removed = 0;
+  for (const dirent of fs.readdirSync(DOWNLOADS_DIR, { withFileTypes: true })) {
+    const orphan = dirent.isDirectory()
+      ? dirent.name.startsWith('export_')
+      : dirent.name.endsWith(PARTIAL_SUFFIX);
+    if (!orphan) continue;
+    try {
+      fs.rmSync(path.join(DOWNLOADS_DIR, dirent.name), { recursive: true, force: true });
+      removed++;
+      console.log(`[CLEANUP] Removed orphaned export: ${dirent.name}`);
+    } catch (error) {
+      console.error(`[CLEANUP ERROR] Failed to remove ${dirent.name}:`, error.message);
+    }
+  }
+  return removed;
+}
+
+module.exports = {
+  EXPORT_COMPRESSION_LEVEL,
+  createExportArchive,
+  sweepOrphanedExports
+};
@@ -0,0 +1,174 @@
+// Record of completed exports: which client and owner made them, the file, whether it is
+// encrypted, the manifest checksum and how long the export is kept. Persisted in
+// data/exports.json; records are dropped once their file has been cleaned up.
+const path = require('path');
+const fs = require('fs');
+const { DOWNLOADS_DIR } = require('./utils');
+
+const DATA_DIR = path.resolve(process.cwd(), 'data');
+const EXPORTS_FILE = path.join(DATA_DIR, 'exports.json');
+
+const EXPORT_RETENTION_HOURS = Number(process.env.EXPORT_RETENTION_HOURS || 48);
+// Upper bound for per-export retention overrides
+const EXPORT_MAX_RETENTION_HOURS = Number(process.env.EXPORT_MAX_RETENTION_HOURS || 168);
+
+if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
+
+/*
+  exports: {
+    exportId: {
+      exportId, clientId, owner, filename, size, encrypted, receivedOnly, mode, formats,
+      chats: [{ chatId, chatName, status, messagesExported, mediaFiles }],
+      manifestSha256, retentionHours (null = EXPORT_RETENTION_HOURS), createdAt
+    }
+  }
+*/
+let exportRecords = {};
+
+function saveExportRecords() {
+  try {
+    fs.writeFileSync(EXPORTS_FILE, JSON.stringify(exportRecords, null, 2));
+  } catch (error) {
+    console.error('[ERROR] Failed to save export records:', error);
+  }
+}
+
+function loadExportRecords() {
+  try {
+    if (fs.existsSync(EXPORTS_FILE)) {
+      exportRecords = JSON.parse(fs.readFileSync(EXPORTS_FILE, 'utf8'));
+    }
+  } catch (error) {
+    console.error('[ERROR] Failed to load export records:', error);
+  }
+}
+
+loadExportRecords();
+
+function retentionError(message) {
+  const err = new Error(message);
+  err.code = 'INVALID_RETENTION';
+  return err;
+}
+
+/**
+ * Parse a retention override
+ * @param {*} value - Hours to keep the export, or null/undefined for EXPORT_RETENTION_HOURS
+ * @returns {number|null}
+ * @throws {Error} - code INVALID_RETENTION
+ */
+function parseRetentionHours(value) {
+  if (value === undefined || value === null) return null;
+  if (!Number.isInteger(value) || value < 1 || value > EXPORT_MAX_RETENTION_HOURS) {
+    throw retentionError(`retentionHours must be an integer between 1 and ${EXPORT_MAX_RETENTION_HOURS}, or null for the default`);
+  }
+  return value;
+}
+
+/**
+ * When the retention cleanup deletes an export
+ * @returns {number} - Epoch ms
+ */
+function getExportExpiry(record) {
+  return record.createdAt + (record.retentionHours || EXPORT_RETENTION_HOURS) * 60 * 60 * 1000;
+}
+
+/**
+ * Record a completed export
+ * @param {Object} record - See the shape above; createdAt defaults to now
+ */
+function recordExport(record) {
+  exportRecords[record.exportId] = { createdAt: Date.now(), retentionHours: null, ...record };
+  saveExportRecords();
+  return exportRecords[record.exportId];
+}
+
+function getExportRecord(exportId) {
+  return exportRecords[exportId];
+}
+
+/**
+ * All export records, newest first
+ */
+function listExportRecords() {
+  return Object.values(exportRecords).sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/**
+ * Override how long an export is kept, counted from its creation
+ * @param {string} exportId - Export ID
+ * @param {number|null} retentionHours - From parseRetentionHours(); null restores the default
+ * @returns {Object|null} - Updated record, or null if not found
+ */
+function setExportRetention(exportId, retentionHours) {
+  const record = exportRecords[exportId];
+  if (!record) return null;
+  record.retentionHours = retentionHours;
+  saveExportRecords();
+  return record;
+}
+
+/**
+ * Delete an export's file and record
+ * @returns {boolean} - false if no such export
+ */
+function deleteExport(exportId) {
+  const record = exportRecords[exportId];
+  if (!record) return false;
+  fs.rmSync(path.join(DOWNLOADS_DIR, record.filename), { force: true });
+  delete exportRecords[exportId];
+  saveExportRecords();
+  return true;
+}
+
+/**
+ * API representation of an export record
+ */
+function serializeExportRecord(record) {
+  return {
+    exportId: record.exportId,
+    clientId: record.clientId,
+    owner: record.owner,
+    filename: record.filename,
+    size: record.size,
+    encrypted: record.encrypted,
+    receivedOnly: record.receivedOnly,
+    mode: record.mode,
+    formats: record.formats,
+    chats: record.chats,
+    manifestSha256: record.manifestSha256,
+    createdAt: record.createdAt,
+    retentionHours: record.retentionHours || null,
+    expiresAt: getExportExpiry(record)
+  };
+}
+
+/**
+ * Drop records whose file no longer exists (removed by the retention cleanup)
+ * @returns {number} - Records dropped
+ */
+function pruneExportRecords() {
+  let removed = 0;
+  for (const record of Object.values(exportRecords)) {
+    if (!fs.existsSync(path.join(DOWNLOADS_DIR, record.filename))) {
+      delete exportRecords[record.exportId];
+      removed++;
+    }
+  }
+  if (removed) saveExportRecords();
+  return removed;
+}
+
+module.exports = {
+  EXPORT_RETENTION_HOURS,
+  EXPORT_MAX_RETENTION_HOURS,
+  parseRetentionHours,
+  getExportExpiry,
+  recordExport,
+  getExportRecord,
+  listExportRecords,
+  setExportRetention,
+  deleteExport,
+  serializeExportRecord,
+  pruneExportRecords
+};
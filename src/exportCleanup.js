@@ -0,0 +1,87 @@
+// Retention cleanup of export archives and saved outgoing media, run hourly by server.js and
+// on demand through POST /exports/cleanup. A catalogued export is deleted once its own expiry
+// has passed (EXPORT_RETENTION_HOURS unless overridden, see exportCatalog.js); archives
+// without a record fall back to the age of the file.
+const path = require('path');
+const fs = require('fs/promises');
+const { DOWNLOADS_DIR } = require('./utils');
+const { EXPORT_RETENTION_HOURS, listExportRecords, getExportExpiry, pruneExportRecords } = require('./exportCatalog');
+const { pruneDownloadTokens } = require('./downloadLinks');
+const { cleanupOutgoingMedia } = require('./media');
+const { getPendingMediaPaths } = require('./sendQueue');
+
+const EXPORT_FILE_PATTERN = /\.zip(\.enc)?$/;
+
+/**
+ * Delete expired export archives
+ * @param {string} label - Log prefix, e.g. CLEANUP
+ * @returns {Promise<Object>} - { deleted: [filename], freedBytes }
+ */
+async function removeExpiredExports(label) {
+  const now = Date.now();
+  const maxAgeMs = EXPORT_RETENTION_HOURS * 60 * 60 * 1000;
+  const expiries = new Map(listExportRecords().map(record => [record.filename, getExportExpiry(record)]));
+  const deleted = [];
+  let freedBytes = 0;
+
+  for (const file of await fs.readdir(DOWNLOADS_DIR)) {
+    // Only clean up export archives (.zip, encrypted .zip.enc)
+    if (!EXPORT_FILE_PATTERN.test(file)) continue;
+
+    const filePath = path.join(DOWNLOADS_DIR, file);
+    try {
+      const stats = await fs.stat(filePath);
+      const expiresAt = expiries.has(file) ? expiries.get(file) : stats.mtime.getTime() + maxAgeMs;
+      if (expiresAt > now) continue;
+
+      await fs.unlink(filePath);
+      deleted.push(file);
+      freedBytes += stats.size;
+      const ageHours = (now - stats.mtime.getTime()) / (1000 * 60 * 60);
+      console.log(`[${label}] Deleted expired export: ${file} (${(stats.size / (1024 * 1024)).toFixed(2)}MB, age: ${ageHours.toFixed(1)}h)`);
+    } catch (fileError) {
+      console.error(`[${label} ERROR] Failed to process file ${file}:`, fileError.message);
+    }
+  }
+  return { deleted, freedBytes };
+}
+
+/**
+ * Delete expired exports and outgoing media, then drop the records and download links
+ * that pointed at them
+ * @param {string} [label] - Log prefix; the hourly run uses CLEANUP
+ * @returns {Promise<Object>} - { success, deletedCount, exportsDeleted, outgoingMediaDeleted, freedBytes,
+ *                              recordsPruned, linksPruned } or { success: false, error }
+ */
+async function cleanupExpiredExports(label = 'MANUAL CLEANUP') {
+  console.log(`[${label}] Starting export files cleanup...`);
+  try {
+    const exportsResult = await removeExpiredExports(label);
+    // Saved outgoing media follows the same retention, unless a queued message still needs it
+    const outgoing = await cleanupOutgoingMedia(EXPORT_RETENTION_HOURS * 60 * 60 * 1000, getPendingMediaPaths());
+    const deletedCount = exportsResult.deleted.length + outgoing.deletedCount;
+    const freedBytes = exportsResult.freedBytes + outgoing.freedBytes;
+
+    if (deletedCount > 0) {
+      console.log(`[${label}] Completed: Deleted ${deletedCount} file(s), freed ${(freedBytes / (1024 * 1024)).toFixed(2)}MB`);
+    } else {
+      console.log(`[${label}] No expired files to delete`);
+    }
+    return {
+      success: true,
+      deletedCount,
+      exportsDeleted: exportsResult.deleted,
+      outgoingMediaDeleted: outgoing.deletedCount,
+      freedBytes,
+      recordsPruned: pruneExportRecords(),
+      linksPruned: pruneDownloadTokens()
+    };
+  } catch (err) {
+    console.error(`[${label} ERROR]:`, err);
+    return { success: false, error: err.message };
+  }
+}
+
+module.exports = {
+  cleanupExpiredExports
+};
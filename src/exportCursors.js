@@ -0,0 +1,167 @@
+// High-water marks for incremental exports: per client, chat and scope (endpoint plus filters),
+// the newest message already exported. Incremental exports only include messages after the
+// cursor and move it forward once the ZIP has been written. Persisted in data/export-cursors.json.
+const path = require('path');
+const fs = require('fs');
+
+const DATA_DIR = path.resolve(process.cwd(), 'data');
+const CURSORS_FILE = path.join(DATA_DIR, 'export-cursors.json');
+
+const EXPORT_MODES = ['full', 'incremental'];
+
+if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
+
+/*
+  cursors: {
+    clientId: {
+      chatId: {
+        scopeKey: { route, filters, lastMessageId, lastTimestamp, idsAtLastTimestamp, exportId, updatedAt }
+      }
+    }
+  }
+  A run only moves the cursor of its own scope (see exportCursorScope), so a filtered or
+  received-only run never skips messages for other exports of the chat.
+  Message timestamps have one-second resolution, so the ids of every exported message
+  carrying lastTimestamp are kept to tell them apart from newer ones in the same second.
+*/
+let cursors = {};
+
+function saveCursors() {
+  try {
+    fs.writeFileSync(CURSORS_FILE, JSON.stringify(cursors, null, 2));
+  } catch (error) {
+    console.error('[ERROR] Failed to save export cursors:', error);
+  }
+}
+
+function loadCursors() {
+  try {
+    if (fs.existsSync(CURSORS_FILE)) {
+      cursors = JSON.parse(fs.readFileSync(CURSORS_FILE, 'utf8'));
+    }
+  } catch (error) {
+    console.error('[ERROR] Failed to load export cursors:', error);
+  }
+}
+
+loadCursors();
+
+/**
+ * Scope of an incremental export's cursors: runs share a cursor only when they select the same
+ * messages, i.e. the same endpoint and filters. maxMessages is left out; it only defers messages.
+ * @param {boolean} receivedOnly - export-received-messages rather than export-chats
+ * @param {Object} filters - Parsed filters (see exportFilters.js)
+ * @returns {Object} - { key, route, filters }
+ */
+function exportCursorScope(receivedOnly, filters) {
+  const route = receivedOnly ? 'export-received-messages' : 'export-chats';
+  const scopeFilters = {
+    since: filters.since,
+    until: filters.until,
+    types: filters.types ? [...new Set(filters.types)].sort() : null,
+    fromMe: filters.fromMe,
+    mediaOnly: filters.mediaOnly
+  };
+  return { key: `${route}|${JSON.stringify(scopeFilters)}`, route, filters: scopeFilters };
+}
+
+function getExportCursor(clientId, chatId, scopeKey) {
+  const chatCursors = cursors[clientId] && cursors[clientId][chatId];
+  return (chatCursors && chatCursors[scopeKey]) || null;
+}
+
+function listExportCursors(clientId) {
+  return Object.entries(cursors[clientId] || {}).flatMap(([chatId, chatCursors]) => (
+    Object.values(chatCursors).map(cursor => ({ chatId, ...cursor }))
+  ));
+}
+
+/**
+ * Messages newer than the cursor
+ * @param {Array<Message>} messages - Oldest first
+ * @param {Object|null} cursor - From getExportCursor; null keeps every message
+ */
+function messagesAfterCursor(messages, cursor) {
+  if (!cursor) return messages;
+  return messages.filter(msg => msg.timestamp > cursor.lastTimestamp
+    || (msg.timestamp === cursor.lastTimestamp && !cursor.idsAtLastTimestamp.includes(msg.id.id)));
+}
+
+/**
+ * Cursor after exporting `exported` on top of `previous`
+ * @param {Object|null} previous - Current cursor
+ * @param {Array<Object>} exported - Exported message data ({ id, timestamp }), oldest first
+ * @param {string} exportId - Export that moved the cursor
+ * @returns {Object|null} - New cursor, or previous when nothing was exported
+ */
+function advanceCursor(previous, exported, exportId) {
+  if (!exported.length) return previous;
+  const last = exported[exported.length - 1];
+  const sameSecond = exported.filter(m => m.timestamp === last.timestamp).map(m => m.id);
+  const carried = previous && previous.lastTimestamp === last.timestamp ? previous.idsAtLastTimestamp : [];
+  return {
+    lastMessageId: last.id,
+    lastTimestamp: last.timestamp,
+    idsAtLastTimestamp: [...new Set([...carried, ...sameSecond])],
+    exportId,
+    updatedAt: Date.now()
+  };
+}
+
+/**
+ * Store cursors of a finished export. A cursor never moves back, e.g. when two
+ * incremental exports of the same chat overlap and the older one finishes last.
+ * @param {string} clientId - Client ID
+ * @param {Object} scope - From exportCursorScope
+ * @param {Object} updates - chatId -> cursor
+ */
+function saveExportCursors(clientId, scope, updates) {
+  let changed = false;
+  for (const [chatId, cursor] of Object.entries(updates)) {
+    const current = getExportCursor(clientId, chatId, scope.key);
+    if (current && current.lastTimestamp > cursor.lastTimestamp) continue;
+    if (current && current.lastTimestamp === cursor.lastTimestamp) {
+      cursor.idsAtLastTimestamp = [...new Set([...current.idsAtLastTimestamp, ...cursor.idsAtLastTimestamp])];
+    }
+    if (!cursors[clientId]) cursors[clientId] = {};
+    cursors[clientId][chatId] = {
+      ...(cursors[clientId][chatId] || {}),
+      [scope.key]: { route: scope.route, filters: scope.filters, ...cursor }
+    };
+    changed = true;
+  }
+  if (changed) saveCursors();
+}
+
+/**
+ * Forget cursors (of every scope) so the next incremental export starts from scratch
+ * @param {string} clientId - Client ID
+ * @param {string} [chatId] - Only this chat; all chats of the client when omitted
+ * @returns {number} - Cursors removed
+ */
+function resetExportCursors(clientId, chatId) {
+  const clientCursors = cursors[clientId];
+  if (!clientCursors) return 0;
+  const countScopes = (id) => Object.keys(clientCursors[id] || {}).length;
+  let removed;
+  if (chatId) {
+    removed = countScopes(chatId);
+    delete clientCursors[chatId];
+  } else {
+    removed = Object.keys(clientCursors).reduce((sum, id) => sum + countScopes(id), 0);
+    delete cursors[clientId];
+  }
+  if (removed) saveCursors();
+  return removed;
+}
+
+module.exports = {
+  EXPORT_MODES,
+  exportCursorScope,
+  getExportCursor,
+  listExportCursors,
+  messagesAfterCursor,
+  advanceCursor,
+  saveExportCursors,
+  resetExportCursors
+};
@@ -0,0 +1,208 @@
+// Password-encrypted export archives. The ZIP stream is wrapped in an envelope as it is
+// written, so no plaintext copy ever reaches the disk:
+//   line 1  "WAEXPORT-ENC/1"
+//   line 2  JSON header { exportId, cipher, kdf, salt, N, r, p, chunkSize, noncePrefix }
+//   then    the ZIP in chunkSize pieces, each AES-256-GCM encrypted (ciphertext + 16-byte tag)
+// The key is scrypt(password, salt). Chunk nonces are noncePrefix (7 bytes) + chunk number
+// (uint32 BE) + 1 on the last chunk, else 0, so chunks can't be reordered or truncated.
+// Both header lines are authenticated as additional data of every chunk.
+//
+// Decrypt from the command line:
+//   EXPORT_PASSWORD=... node src/exportEncryption.js export_123.zip.enc export_123.zip
+const fs = require('fs');
+const crypto = require('crypto');
+const { Transform } = require('stream');
+
+const MAGIC = 'WAEXPORT-ENC/1';
+const ENCRYPTED_EXTENSION = '.enc';
+const CHUNK_SIZE = 64 * 1024;
+const TAG_LENGTH = 16;
+const SCRYPT_PARAMS = { N: 32768, r: 8, p: 1 };
+const MIN_PASSWORD_LENGTH = 12;
+const MAX_PASSWORD_LENGTH = 1024;
+
+function encryptionError(message, code = 'INVALID_ENCRYPTION') {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+/**
+ * Random password for callers who don't supply one (192 bits, URL-safe)
+ */
+function generatePassword() {
+  return crypto.randomBytes(24).toString('base64url');
+}
+
+/**
+ * Parse the encryption fields of an export request
+ * @param {Object} [body] - { encrypt, password }
+ * @returns {Object|null} - { password, generated } or null for a plain ZIP
+ * @throws {Error} - code INVALID_ENCRYPTION
+ */
+function parseEncryptionOptions(body = {}) {
+  const { encrypt, password } = body;
+  if (encrypt !== undefined && typeof encrypt !== 'boolean') {
+    throw encryptionError('encrypt must be a boolean');
+  }
+  if (password !== undefined && password !== null) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH || password.length > MAX_PASSWORD_LENGTH) {
+      throw encryptionError(`password must be a string of ${MIN_PASSWORD_LENGTH} to ${MAX_PASSWORD_LENGTH} characters`);
+    }
+    if (encrypt === false) throw encryptionError('password cannot be used with encrypt: false');
+    return { password, generated: false };
+  }
+  return encrypt ? { password: generatePassword(), generated: true } : null;
+}
+
+function deriveKey(password, salt, { N, r, p }) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, 32, { N, r, p, maxmem: 256 * N * r }, (err, key) => (err ? reject(err) : resolve(key)));
+  });
+}
+
+function chunkNonce(prefix, index, last) {
+  const nonce = Buffer.alloc(12);
+  prefix.copy(nonce, 0);
+  nonce.writeUInt32BE(index, 7);
+  nonce[11] = last ? 1 : 0;
+  return nonce;
+}
+
+/**
+ * Transform stream encrypting whatever is piped through it into the envelope format
+ * @param {string} password - Encryption password
+ * @param {string} exportId - Written to the (unencrypted, authenticated) header
+ * @returns {Promise<Transform>}
+ */
+async function createEncryptStream(password, exportId) {
+  const salt = crypto.randomBytes(16);
+  const noncePrefix = crypto.randomBytes(7);
+  const key = await deriveKey(password, salt, SCRYPT_PARAMS);
+  const header = Buffer.from(`${MAGIC}\n${JSON.stringify({
+    exportId,
+    cipher: 'aes-256-gcm',
+    kdf: 'scrypt',
+    salt: salt.toString('base64'),
+    ...SCRYPT_PARAMS,
+    chunkSize: CHUNK_SIZE,
+    noncePrefix: noncePrefix.toString('base64')
+  })}\n`);
+
+  let pending = Buffer.alloc(0);
+  let index = 0;
+  const sealChunk = (plaintext, last) => {
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, chunkNonce(noncePrefix, index++, last));
+    cipher.setAAD(header);
+    return Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+  };
+
+  return new Transform({
+    construct(callback) {
+      this.push(header);
+      callback();
+    },
+    transform(data, encoding, callback) {
+      pending = Buffer.concat([pending, data]);
+      // Keep at least one byte back so the final chunk is sealed in flush()
+      while (pending.length > CHUNK_SIZE) {
+        this.push(sealChunk(pending.subarray(0, CHUNK_SIZE), false));
+        pending = pending.subarray(CHUNK_SIZE);
+      }
+      callback();
+    },
+    flush(callback) {
+      this.push(sealChunk(pending, true));
+      callback();
+    }
+  });
+}
+
+/**
+ * Read the envelope header of an encrypted export
+ * @returns {Promise<Object>} - { header (Buffer), params, offset }
+ */
+async function readHeader(handle) {
+  const { buffer, bytesRead } = await handle.read(Buffer.alloc(4096), 0, 4096, 0);
+  const text = buffer.subarray(0, bytesRead).toString('latin1');
+  const firstBreak = text.indexOf('\n');
+  const secondBreak = text.indexOf('\n', firstBreak + 1);
+  if (text.slice(0, firstBreak) !== MAGIC || secondBreak === -1) {
+    throw encryptionError('not an encrypted export', 'DECRYPT_FAILED');
+  }
+  return {
+    header: buffer.subarray(0, secondBreak + 1),
+    params: JSON.parse(text.slice(firstBreak + 1, secondBreak)),
+    offset: secondBreak + 1
+  };
+}
+
+/**
+ * Decrypt an encrypted export back to its ZIP
+ * @param {string} inputPath - .zip.enc file
+ * @param {string} outputPath - ZIP to write
+ * @param {string} password - Password the export was encrypted with
+ * @throws {Error} - code DECRYPT_FAILED for a wrong password or a damaged file
+ */
+async function decryptFile(inputPath, outputPath, password) {
+  const input = await fs.promises.open(inputPath, 'r');
+  const output = await fs.promises.open(outputPath, 'w');
+  try {
+    const { size } = await input.stat();
+    const { header, params, offset } = await readHeader(input);
+    const key = await deriveKey(password, Buffer.from(params.salt, 'base64'), params);
+    const noncePrefix = Buffer.from(params.noncePrefix, 'base64');
+    const block = Buffer.alloc(params.chunkSize + TAG_LENGTH);
+
+    let position = offset;
+    let index = 0;
+    let last = false;
+    while (!last) {
+      const { bytesRead } = await input.read(block, 0, block.length, position);
+      if (bytesRead < TAG_LENGTH) throw encryptionError('file is truncated', 'DECRYPT_FAILED');
+      position += bytesRead;
+      last = position >= size;
+
+      const decipher = crypto.createDecipheriv('aes-256-gcm', key, chunkNonce(noncePrefix, index++, last));
+      decipher.setAAD(header);
+      decipher.setAuthTag(block.subarray(bytesRead - TAG_LENGTH, bytesRead));
+      let plaintext;
+      try {
+        plaintext = Buffer.concat([decipher.update(block.subarray(0, bytesRead - TAG_LENGTH)), decipher.final()]);
+      } catch (error) {
+        throw encryptionError('wrong password or damaged file', 'DECRYPT_FAILED');
+      }
+      await output.write(plaintext);
+    }
+  } catch (error) {
+    await output.close();
+    fs.rmSync(outputPath, { force: true });
+    throw error;
+  } finally {
+    await input.close();
+  }
+  await output.close();
+}
+
+if (require.main === module) {
+  const [inputPath, outputPath] = process.argv.slice(2);
+  const password = process.env.EXPORT_PASSWORD;
+  if (!inputPath || !outputPath || !password) {
+    console.error('Usage: EXPORT_PASSWORD=<password> node src/exportEncryption.js <export.zip.enc> <export.zip>');
+    process.exit(2);
+  }
+  decryptFile(inputPath, outputPath, password)
+    .then(() => console.log(`Decrypted ${inputPath} to ${outputPath}`))
+    .catch((error) => {
+      console.error(`Decryption failed: ${error.message}`);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  ENCRYPTED_MAGIC: MAGIC,
+  ENCRYPTED_EXTENSION,
+  parseEncryptionOptions,
+  createEncryptStream,
+  decryptFile
+};
@@ -0,0 +1,112 @@
+// Message filters for chat exports: date range, message types, direction, media only and a
+// message cap. Parsed once per export request and echoed in the export's manifest.json.
+const { MessageTypes } = require('whatsapp-web.js');
+
+// Most recent messages scanned per chat; filters apply within this window
+const EXPORT_FETCH_LIMIT = Number(process.env.EXPORT_FETCH_LIMIT || 10000);
+const MESSAGE_TYPE_VALUES = Object.values(MessageTypes);
+// Largest epoch milliseconds a Date can hold
+const MAX_TIME_MS = 8.64e15;
+
+function filterError(message) {
+  const err = new Error(message);
+  err.code = 'INVALID_FILTER';
+  return err;
+}
+
+/**
+ * ISO date or epoch milliseconds
+ */
+function parseTime(value, field) {
+  if (value === undefined || value === null || value === '') return null;
+  const time = typeof value === 'number' || /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  if (!Number.isFinite(time)) throw filterError(`${field} must be an ISO date or epoch milliseconds`);
+  if (Math.abs(time) > MAX_TIME_MS) throw filterError(`${field} is outside the supported date range`);
+  return time;
+}
+
+/**
+ * Parse the filter fields of an export request
+ * @param {Object} [body] - { since, until, types, fromMe, mediaOnly, maxMessages }
+ * @returns {Object} - Filters; null fields are not filtered on
+ * @throws {Error} - code INVALID_FILTER
+ */
+function parseExportFilters(body = {}) {
+  const since = parseTime(body.since, 'since');
+  const until = parseTime(body.until, 'until');
+  if (since !== null && until !== null && since > until) throw filterError('since must be before until');
+
+  let types = null;
+  if (body.types !== undefined && body.types !== null && body.types !== '') {
+    types = (Array.isArray(body.types) ? body.types : String(body.types).split(','))
+      .map(t => String(t).trim())
+      .filter(Boolean);
+    const unknown = types.filter(t => !MESSAGE_TYPE_VALUES.includes(t));
+    if (unknown.length) throw filterError(`unknown message types: ${unknown.join(', ')}`);
+    if (!types.length) types = null;
+  }
+
+  if (body.fromMe !== undefined && body.fromMe !== null && typeof body.fromMe !== 'boolean') {
+    throw filterError('fromMe must be true (only sent) or false (only received)');
+  }
+  if (body.mediaOnly !== undefined && typeof body.mediaOnly !== 'boolean') {
+    throw filterError('mediaOnly must be a boolean');
+  }
+
+  let maxMessages = EXPORT_FETCH_LIMIT;
+  if (body.maxMessages !== undefined && body.maxMessages !== null) {
+    if (!Number.isInteger(body.maxMessages) || body.maxMessages < 1 || body.maxMessages > EXPORT_FETCH_LIMIT) {
+      throw filterError(`maxMessages must be an integer between 1 and ${EXPORT_FETCH_LIMIT}`);
+    }
+    maxMessages = body.maxMessages;
+  }
+
+  return {
+    since,
+    until,
+    types,
+    fromMe: typeof body.fromMe === 'boolean' ? body.fromMe : null,
+    mediaOnly: body.mediaOnly === true,
+    maxMessages
+  };
+}
+
+/**
+ * Messages of a chat that pass the filters. When more than maxMessages match, the most recent are kept,
+ * or the oldest with keepOldest (incremental exports, so the next run picks up the rest).
+ * @param {Array<Message>} messages - Oldest first, as returned by chat.fetchMessages
+ * @param {Object} filters - From parseExportFilters
+ * @param {Object} [options] - { keepOldest }
+ * @returns {Array<Message>}
+ */
+function applyExportFilters(messages, filters, { keepOldest = false } = {}) {
+  const selected = messages.filter((msg) => {
+    const time = msg.timestamp * 1000;
+    if (filters.since !== null && time < filters.since) return false;
+    if (filters.until !== null && time > filters.until) return false;
+    if (filters.types && !filters.types.includes(msg.type)) return false;
+    if (filters.fromMe !== null && msg.fromMe !== filters.fromMe) return false;
+    if (filters.mediaOnly && !msg.hasMedia) return false;
+    return true;
+  });
+  if (selected.length <= filters.maxMessages) return selected;
+  return keepOldest ? selected.slice(0, filters.maxMessages) : selected.slice(-filters.maxMessages);
+}
+
+/**
+ * Filters as written to manifest.json and API responses (dates as ISO strings)
+ */
+function describeExportFilters(filters) {
+  return {
+    ...filters,
+    since: filters.since !== null ? new Date(filters.since).toISOString() : null,
+    until: filters.until !== null ? new Date(filters.until).toISOString() : null
+  };
+}
+
+module.exports = {
+  EXPORT_FETCH_LIMIT,
+  parseExportFilters,
+  applyExportFilters,
+  describeExportFilters
+};
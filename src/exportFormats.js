@@ -0,0 +1,208 @@
+// Transcript writers for chat exports. Each selected format becomes one file in the chat's folder:
+//   txt  - chat.txt, WhatsApp's own "[date, time] Name: message" export layout
+//   html - chat.html, a self-contained viewer showing media from the same folder
+//   csv  - chat.csv, one row per message for spreadsheets
+//   json - messages.json, the collected message fields
+const EXPORT_FORMATS = ['txt', 'html', 'csv', 'json'];
+const DEFAULT_EXPORT_FORMATS = ['txt', 'json'];
+const FORMAT_FILES = { txt: 'chat.txt', html: 'chat.html', csv: 'chat.csv', json: 'messages.json' };
+
+// Dates in transcripts use this time zone (IANA name, e.g. "Asia/Kolkata"); default is the server's
+const EXPORT_TIMEZONE = process.env.EXPORT_TIMEZONE || undefined;
+const dateFormat = new Intl.DateTimeFormat('en-GB', { timeZone: EXPORT_TIMEZONE, day: '2-digit', month: '2-digit', year: '2-digit' });
+const timeFormat = new Intl.DateTimeFormat('en-GB', { timeZone: EXPORT_TIMEZONE, hour: '2-digit', minute: '2-digit', second: '2-digit', hour12: false });
+
+/**
+ * Parse the `format` option of an export request
+ * @param {string|Array<string>} [value] - "html", "txt,csv" or ["txt", "html"]; empty for the defaults
+ * @returns {Array<string>} - Formats in canonical order
+ * @throws {Error} - code INVALID_FORMAT
+ */
+function parseExportFormats(value) {
+  if (value === undefined || value === null || value === '') return DEFAULT_EXPORT_FORMATS;
+  const requested = (Array.isArray(value) ? value : String(value).split(','))
+    .map(f => String(f).trim().toLowerCase())
+    .filter(Boolean);
+  const unknown = requested.filter(f => !EXPORT_FORMATS.includes(f));
+  if (unknown.length || !requested.length) {
+    const err = new Error(`format must be one or more of: ${EXPORT_FORMATS.join(', ')}`);
+    err.code = 'INVALID_FORMAT';
+    throw err;
+  }
+  return EXPORT_FORMATS.filter(f => requested.includes(f));
+}
+
+function formatDate(timestamp) {
+  return dateFormat.format(new Date(timestamp * 1000));
+}
+
+function formatTime(timestamp) {
+  return timeFormat.format(new Date(timestamp * 1000));
+}
+
+/**
+ * Text shown for a message that has no media file of its own
+ */
+function placeholderText(message) {
+  if (message.hasMedia) return '<Media omitted>';
+  if (message.type === 'revoked') return 'This message was deleted';
+  if (!message.body) return `<${message.type}>`;
+  return message.body;
+}
+
+// --- txt ---------------------------------------------------------------------
+
+function toText(chat) {
+  return chat.messages.map((m) => {
+    const content = m.mediaFile
+      ? [`<attached: ${m.mediaFile}>`, m.body].filter(Boolean).join('\n')
+      : placeholderText(m);
+    return `[${formatDate(m.timestamp)}, ${formatTime(m.timestamp)}] ${m.senderName}: ${content}`;
+  }).join('\n') + '\n';
+}
+
+// --- html --------------------------------------------------------------------
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function mediaHtml(message) {
+  if (!message.mediaFile) {
+    const reason = message.mediaError || message.mediaSkipped;
+    return reason ? `<div class="missing">Media not exported: ${escapeHtml(reason)}</div>` : '';
+  }
+  const src = escapeHtml(encodeURIComponent(message.mediaFile));
+  const mimeType = message.mimeType || '';
+  if (mimeType.startsWith('image/')) return `<a href="${src}"><img src="${src}" alt="" loading="lazy"></a>`;
+  if (mimeType.startsWith('video/')) return `<video src="${src}" controls preload="metadata"></video>`;
+  if (mimeType.startsWith('audio/')) return `<audio src="${src}" controls preload="none"></audio>`;
+  return `<a class="file" href="${src}">${escapeHtml(message.mediaFile)}</a>`;
+}
+
+const HTML_STYLE = `
+body { margin: 0; background: #efeae2; font: 14px/1.4 -apple-system, "Segoe UI", Roboto, sans-serif; color: #111b21; }
+header { position: sticky; top: 0; background: #075e54; color: #fff; padding: 12px 20px; }
+header h1 { margin: 0; font-size: 18px; }
+header p { margin: 2px 0 0; font-size: 12px; opacity: .8; }
+main { max-width: 860px; margin: 0 auto; padding: 12px 20px 40px; }
+.day { text-align: center; margin: 16px 0 8px; }
+.day span { background: #e1f2fb; border-radius: 6px; padding: 3px 10px; font-size: 12px; }
+.msg { max-width: 70%; margin: 4px 0; padding: 6px 8px 4px; border-radius: 8px; background: #fff; box-shadow: 0 1px .5px rgba(0,0,0,.13); clear: both; }
+.msg.me { margin-left: auto; background: #d9fdd3; }
+.sender { font-size: 12px; font-weight: 600; color: #06cf9c; }
+.body { white-space: pre-wrap; word-wrap: break-word; }
+.time { text-align: right; font-size: 11px; color: #667781; }
+.msg img, .msg video { display: block; max-width: 100%; max-height: 320px; border-radius: 6px; margin: 2px 0; }
+.file::before { content: "\\1F4CE  "; }
+.missing { font-style: italic; color: #667781; }
+`;
+
+function toHtml(chat) {
+  const rows = [];
+  let currentDay = null;
+  for (const m of chat.messages) {
+    const day = formatDate(m.timestamp);
+    if (day !== currentDay) {
+      rows.push(`<div class="day"><span>${escapeHtml(day)}</span></div>`);
+      currentDay = day;
+    }
+    const text = m.mediaFile ? m.body : placeholderText(m);
+    rows.push([
+      `<div class="msg ${m.fromMe ? 'me' : 'them'}" id="m-${escapeHtml(m.id)}">`,
+      m.fromMe ? '' : `<div class="sender">${escapeHtml(m.senderName)}</div>`,
+      mediaHtml(m),
+      text ? `<div class="body">${escapeHtml(text)}</div>` : '',
+      `<div class="time">${escapeHtml(formatTime(m.timestamp).slice(0, 5))}</div>`,
+      '</div>'
+    ].join(''));
+  }
+
+  const title = chat.chatName || chat.chatId;
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${HTML_STYLE}</style>
+</head>
+<body>
+<header>
+<h1>${escapeHtml(title)}</h1>
+<p>${escapeHtml(chat.chatId)} &middot; ${chat.messages.length} messages &middot; exported ${escapeHtml(new Date(chat.exportedAt).toISOString())}</p>
+</header>
+<main>
+${rows.join('\n')}
+</main>
+</body>
+</html>
+`;
+}
+
+// --- csv ---------------------------------------------------------------------
+
+const CSV_COLUMNS = ['date', 'time', 'timestamp', 'sender', 'from_me', 'type', 'message', 'media_file', 'mime_type', 'message_id'];
+
+function csvCell(value) {
+  let text = value === undefined || value === null ? '' : String(value);
+  // Spreadsheets run cells starting with these characters as formulas
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(chat) {
+  const lines = [CSV_COLUMNS.join(',')];
+  for (const m of chat.messages) {
+    lines.push([
+      formatDate(m.timestamp),
+      formatTime(m.timestamp),
+      new Date(m.timestamp * 1000).toISOString(),
+      m.senderName,
+      m.fromMe,
+      m.type,
+      m.mediaFile ? m.body : placeholderText(m),
+      m.mediaFile,
+      m.mimeType,
+      m.id
+    ].map(csvCell).join(','));
+  }
+  // BOM so Excel opens the file as UTF-8
+  return `\uFEFF${lines.join('\r\n')}\r\n`;
+}
+
+// --- json --------------------------------------------------------------------
+
+function toJson(chat) {
+  return JSON.stringify({
+    chatId: chat.chatId,
+    chatName: chat.chatName,
+    exportedAt: new Date(chat.exportedAt).toISOString(),
+    messageCount: chat.messages.length,
+    messages: chat.messages
+  }, null, 2);
+}
+
+const WRITERS = { txt: toText, html: toHtml, csv: toCsv, json: toJson };
+
+/**
+ * Render a chat's transcript files
+ * @param {Object} chat - { chatId, chatName, exportedAt (ms), messages } with messages oldest first
+ * @param {Array<string>} formats - From parseExportFormats
+ * @returns {Array<Object>} - { filename, content } per format
+ */
+function renderChatTranscripts(chat, formats) {
+  return formats.map(format => ({ filename: FORMAT_FILES[format], content: WRITERS[format](chat) }));
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  DEFAULT_EXPORT_FORMATS,
+  parseExportFormats,
+  renderChatTranscripts
+};
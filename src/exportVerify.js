@@ -0,0 +1,173 @@
+// Integrity check of a downloaded export: every file listed in its manifest.json must be in the
+// ZIP with the recorded size and SHA-256, and nothing else may have been added.
+const fs = require('fs');
+const os = require('os');
+const crypto = require('crypto');
+const multer = require('multer');
+const yauzl = require('yauzl');
+const { ENCRYPTED_MAGIC } = require('./exportEncryption');
+const { getExportRecord } = require('./exportCatalog');
+
+const MAX_EXPORT_SIZE_MB = Number(process.env.MAX_EXPORT_SIZE_MB || 500);
+const MANIFEST_NAME = 'manifest.json';
+
+function verifyError(message) {
+  const err = new Error(message);
+  err.code = 'INVALID_EXPORT';
+  return err;
+}
+
+/**
+ * Hash every file in a ZIP
+ * @returns {Promise<Map>} - name -> { size, sha256, data (manifest.json only) }
+ */
+function hashZipEntries(zipPath) {
+  return new Promise((resolve, reject) => {
+    yauzl.open(zipPath, { lazyEntries: true }, (openError, zipfile) => {
+      if (openError) return reject(verifyError(`not a valid ZIP file: ${openError.message}`));
+
+      const entries = new Map();
+      zipfile.on('error', error => reject(verifyError(`not a valid ZIP file: ${error.message}`)));
+      zipfile.on('end', () => resolve(entries));
+      zipfile.on('entry', (entry) => {
+        if (entry.fileName.endsWith('/')) return zipfile.readEntry();
+
+        zipfile.openReadStream(entry, (streamError, stream) => {
+          if (streamError) return reject(verifyError(`cannot read ${entry.fileName}: ${streamError.message}`));
+          const hash = crypto.createHash('sha256');
+          const chunks = entry.fileName === MANIFEST_NAME ? [] : null;
+          let size = 0;
+          stream.on('data', (chunk) => {
+            hash.update(chunk);
+            size += chunk.length;
+            if (chunks) chunks.push(chunk);
+          });
+          stream.on('error', error => reject(verifyError(`cannot read ${entry.fileName}: ${error.message}`)));
+          stream.on('end', () => {
+            entries.set(entry.fileName, { size, sha256: hash.digest('hex'), data: chunks && Buffer.concat(chunks) });
+            zipfile.readEntry();
+          });
+        });
+      });
+      zipfile.readEntry();
+    });
+  });
+}
+
+/**
+ * Whether the file is an encrypted export envelope rather than a ZIP
+ */
+async function isEncryptedExport(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(ENCRYPTED_MAGIC.length), 0, ENCRYPTED_MAGIC.length, 0);
+    return buffer.subarray(0, bytesRead).toString('latin1') === ENCRYPTED_MAGIC;
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Check an export ZIP against its manifest. The manifest itself is checked against the
+ * manifestSha256 recorded in the export catalog for its exportId, or the one passed in when the
+ * record is gone; with neither, a ZIP whose files and manifest were both rewritten would pass,
+ * so the result is unanchored (valid: null) rather than valid.
+ * @param {string} zipPath - ZIP to check
+ * @param {Object} [options] - { manifestSha256 } as returned when the export completed
+ * @returns {Promise<Object>} - { valid, anchor, exportId, clientId, createdAt, manifestSha256, manifestMatches, filesChecked, modified, missing, unexpected }
+ * @throws {Error} - code INVALID_EXPORT when the file is not an export ZIP
+ */
+async function verifyExportArchive(zipPath, { manifestSha256 } = {}) {
+  if (await isEncryptedExport(zipPath)) {
+    throw verifyError('export is encrypted; decrypt it first (node src/exportEncryption.js) and upload the ZIP');
+  }
+  const entries = await hashZipEntries(zipPath);
+  const manifestEntry = entries.get(MANIFEST_NAME);
+  if (!manifestEntry) throw verifyError('ZIP has no manifest.json');
+
+  let manifest;
+  try {
+    manifest = JSON.parse(manifestEntry.data.toString('utf8'));
+  } catch (error) {
+    throw verifyError(`manifest.json is not valid JSON: ${error.message}`);
+  }
+  if (manifest.hashAlgorithm !== 'sha256' || !Array.isArray(manifest.chats)) {
+    throw verifyError('manifest.json has no file checksums (export made before checksums were recorded)');
+  }
+
+  const expected = manifest.chats.flatMap(chat => chat.files || []);
+  const listed = new Set(expected.map(file => file.name));
+  const modified = [];
+  const missing = [];
+
+  for (const file of expected) {
+    const actual = entries.get(file.name);
+    if (!actual) {
+      missing.push(file.name);
+    } else if (actual.sha256 !== file.sha256 || actual.size !== file.size) {
+      modified.push({ name: file.name, expectedSha256: file.sha256, actualSha256: actual.sha256 });
+    }
+  }
+  const unexpected = Array.from(entries.keys()).filter(name => name !== MANIFEST_NAME && !listed.has(name));
+
+  const record = typeof manifest.exportId === 'string' ? getExportRecord(manifest.exportId) : null;
+  let anchor = null;
+  let anchorSha256 = null;
+  if (record && record.manifestSha256) {
+    anchor = 'catalog';
+    anchorSha256 = record.manifestSha256;
+  } else if (manifestSha256) {
+    anchor = 'request';
+    anchorSha256 = String(manifestSha256).toLowerCase();
+  }
+  const manifestMatches = anchor ? anchorSha256 === manifestEntry.sha256 : null;
+
+  let valid = false;
+  if (!modified.length && !missing.length && !unexpected.length && manifestMatches !== false) {
+    valid = anchor ? true : null;
+  }
+
+  return {
+    valid,
+    anchor,
+    exportId: manifest.exportId,
+    clientId: manifest.clientId,
+    createdAt: manifest.createdAt,
+    manifestSha256: manifestEntry.sha256,
+    manifestMatches,
+    filesChecked: expected.length,
+    modified,
+    missing,
+    unexpected
+  };
+}
+
+// Uploaded ZIPs are written to the OS temp dir and removed after the check
+const upload = multer({
+  storage: multer.diskStorage({ destination: os.tmpdir() }),
+  limits: { fileSize: MAX_EXPORT_SIZE_MB * 1024 * 1024, files: 1 }
+});
+
+/**
+ * Express middleware accepting the export ZIP as multipart field `file`
+ */
+function acceptExportUpload(req, res, next) {
+  upload.single('file')(req, res, (err) => {
+    if (!err) return next();
+    const status = err.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+    return res.status(status).json({ error: err.message });
+  });
+}
+
+/**
+ * Delete an uploaded file
+ */
+function removeUpload(file) {
+  if (file) fs.rm(file.path, { force: true }, () => {});
+}
+
+module.exports = {
+  verifyExportArchive,
+  acceptExportUpload,
+  removeUpload
+};
@@ -0,0 +1,181 @@
+// In-memory background jobs (chat exports) with per-chat progress and cancellation.
+const { v4: uuidv4 } = require('uuid');
+
+const JOB_RETENTION_HOURS = Number(process.env.EXPORT_RETENTION_HOURS || 48);
+const JOB_RETENTION_MS = JOB_RETENTION_HOURS * 60 * 60 * 1000;
+
+/*
+  jobs map:
+  jobId -> {
+    jobId, type, clientId, owner, status, createdAt, startedAt, finishedAt,
+    chats: { chatId -> { status, messagesFetched, mediaDownloaded, errors } },
+    result, error, cancelRequested
+  }
+*/
+const jobs = new Map();
+
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+function pruneFinishedJobs() {
+  const cutoff = Date.now() - JOB_RETENTION_MS;
+  for (const [jobId, job] of jobs.entries()) {
+    if (FINISHED_STATUSES.includes(job.status) && job.finishedAt < cutoff) {
+      jobs.delete(jobId);
+    }
+  }
+}
+
+/**
+ * Progress hooks handed to the task; see exportChats in clientsRegistry.js
+ */
+function createTracker(job) {
+  return {
+    startChat(chatId) {
+      job.chats[chatId].status = 'running';
+    },
+    setMessagesFetched(chatId, count) {
+      job.chats[chatId].messagesFetched = count;
+    },
+    mediaDownloaded(chatId) {
+      job.chats[chatId].mediaDownloaded++;
+    },
+    chatError(chatId, message) {
+      job.chats[chatId].errors.push(message);
+    },
+    finishChat(chatId, failed = false) {
+      job.chats[chatId].status = failed ? 'failed' : 'done';
+    },
+    isCancelled() {
+      return job.cancelRequested;
+    }
+  };
+}
+
+/**
+ * Create a job and start it in the background
+ * @param {Object} params
+ * @param {string} params.type - Job type (e.g. 'export-chats')
+ * @param {string} params.clientId - Client the job runs against
+ * @param {string} params.owner - Owner of the client, used for access checks
+ * @param {Array<string>} params.chatIds - Chats processed by the job
+ * @param {Function} params.task - async (tracker) => result
+ * @returns {Object} - The job
+ */
+function createJob({ type, clientId, owner, chatIds, task }) {
+  pruneFinishedJobs();
+
+  const job = {
+    jobId: uuidv4(),
+    type,
+    clientId,
+    owner,
+    status: 'queued',
+    createdAt: Date.now(),
+    startedAt: null,
+    finishedAt: null,
+    chats: {},
+    result: null,
+    error: null,
+    cancelRequested: false
+  };
+  for (const chatId of chatIds) {
+    job.chats[chatId] = { status: 'pending', messagesFetched: 0, mediaDownloaded: 0, errors: [] };
+  }
+  jobs.set(job.jobId, job);
+
+  setImmediate(async () => {
+    if (job.cancelRequested) return;
+    job.status = 'running';
+    job.startedAt = Date.now();
+    console.log(`[JOB] ${job.jobId} (${type}) started for client ${clientId}`);
+
+    try {
+      job.result = await task(createTracker(job));
+      job.status = 'completed';
+      console.log(`[JOB] ${job.jobId} completed`);
+    } catch (error) {
+      if (error.code === 'EXPORT_CANCELLED') {
+        job.status = 'cancelled';
+        for (const chat of Object.values(job.chats)) {
+          if (chat.status === 'pending' || chat.status === 'running') chat.status = 'cancelled';
+        }
+        console.log(`[JOB] ${job.jobId} cancelled`);
+      } else {
+        job.status = 'failed';
+        job.error = error.message;
+        console.error(`[JOB] ${job.jobId} failed:`, error);
+      }
+    } finally {
+      job.finishedAt = Date.now();
+    }
+  });
+
+  return job;
+}
+
+/**
+ * Whether any job is queued or running
+ */
+function hasActiveJobs() {
+  return Array.from(jobs.values()).some(job => !FINISHED_STATUSES.includes(job.status));
+}
+
+function getJob(jobId) {
+  return jobs.get(jobId);
+}
+
+function listJobs() {
+  return Array.from(jobs.values());
+}
+
+/**
+ * Request cancellation. Running tasks stop at their next checkpoint.
+ * @returns {boolean} - false if the job already finished
+ */
+function cancelJob(jobId) {
+  const job = jobs.get(jobId);
+  if (!job || FINISHED_STATUSES.includes(job.status)) return false;
+
+  job.cancelRequested = true;
+  if (job.status === 'queued') {
+    job.status = 'cancelled';
+    job.finishedAt = Date.now();
+  }
+  return true;
+}
+
+/**
+ * Public view of a job with aggregate progress
+ */
+function serializeJob(job) {
+  const chats = Object.entries(job.chats).map(([chatId, c]) => ({ chatId, ...c }));
+  return {
+    jobId: job.jobId,
+    type: job.type,
+    clientId: job.clientId,
+    status: job.status,
+    cancelRequested: job.cancelRequested,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    progress: {
+      totalChats: chats.length,
+      completedChats: chats.filter(c => c.status === 'done' || c.status === 'failed').length,
+      messagesFetched: chats.reduce((sum, c) => sum + c.messagesFetched, 0),
+      mediaDownloaded: chats.reduce((sum, c) => sum + c.mediaDownloaded, 0),
+      errors: chats.reduce((sum, c) => sum + c.errors.length, 0)
+    },
+    chats,
+    result: job.result,
+    error: job.error
+  };
+}
+
+module.exports = {
+  createJob,
+  hasActiveJobs,
+  getJob,
+  listJobs,
+  cancelJob,
+  serializeJob
+};
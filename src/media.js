@@ -0,0 +1,268 @@
+// Outgoing media handling: multipart uploads, base64/data URL payloads and
+// server-side fetches from a URL, all saved under src/downloads/outgoing.
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { Transform } = require('stream');
+const axios = require('axios');
+const multer = require('multer');
+const { DOWNLOADS_DIR } = require('./utils');
+const { checkOutboundUrl, guardedRequestOptions, findBlockedUrlError } = require('./outboundUrls');
+
+const OUTGOING_MEDIA_DIR = path.join(DOWNLOADS_DIR, 'outgoing');
+
+const MEDIA_MAX_MB = Number(process.env.MEDIA_MAX_MB || 64);
+const MEDIA_MAX_BYTES = MEDIA_MAX_MB * 1024 * 1024;
+const MEDIA_URL_TIMEOUT_MS = Number(process.env.MEDIA_URL_TIMEOUT_MS || 30000);
+const MEDIA_ALLOWED_MIME = (process.env.MEDIA_ALLOWED_MIME || 'image/*,video/*,audio/*,application/*,text/*')
+  .split(',')
+  .map(m => m.trim().toLowerCase())
+  .filter(Boolean);
+
+if (!fs.existsSync(OUTGOING_MEDIA_DIR)) fs.mkdirSync(OUTGOING_MEDIA_DIR, { recursive: true });
+
+function mediaError(message, code) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+/**
+ * Whether a MIME type matches MEDIA_ALLOWED_MIME (supports "type/*" wildcards)
+ */
+function isAllowedMime(mimeType) {
+  const mime = String(mimeType || '').split(';')[0].trim().toLowerCase();
+  if (!mime) return false;
+  return MEDIA_ALLOWED_MIME.some(allowed => (
+    allowed === mime || (allowed.endsWith('/*') && mime.startsWith(allowed.slice(0, -1)))
+  ));
+}
+
+/**
+ * Unique, path-safe file name inside OUTGOING_MEDIA_DIR
+ */
+function outgoingPath(filename) {
+  const safeName = path.basename(filename || 'file').replace(/[^\w.-]/g, '_');
+  return path.join(OUTGOING_MEDIA_DIR, `${Date.now()}_${Math.random().toString(36).slice(2, 8)}_${safeName}`);
+}
+
+/**
+ * Accept media passed as a data URL string as well as { filename, mime, base64 }
+ */
+function parseDataUrlMedia(media) {
+  // If client passed a data url or base64 but not as object
+  if (media && typeof media === 'string' && media.startsWith('data:')) {
+    // data:<mime>;base64,<data>
+    const comma = media.indexOf(',');
+    const meta = comma === -1 ? null : /^data:([^,]+);base64$/.exec(media.slice(0, comma));
+    if (!meta) throw mediaError('media data URL must look like data:<mime>;base64,<data>', 'MEDIA_INVALID');
+    const filename = `upload_${Date.now()}`;
+    return { filename, mime: meta[1], base64: media.slice(comma + 1) };
+  }
+  return media;
+}
+
+/**
+ * Decode base64 media, enforcing MEDIA_ALLOWED_MIME and MEDIA_MAX_MB
+ * @param {Object} media - { mime, base64 }
+ * @returns {Buffer}
+ * @throws {Error} - code MEDIA_TYPE_NOT_ALLOWED or MEDIA_TOO_LARGE
+ */
+function decodeBase64Media({ mime, base64 }) {
+  if (!isAllowedMime(mime)) throw mediaError(`media type ${mime} is not allowed`, 'MEDIA_TYPE_NOT_ALLOWED');
+
+  const buffer = Buffer.from(base64, 'base64');
+  if (buffer.length > MEDIA_MAX_BYTES) {
+    throw mediaError(`media exceeds ${MEDIA_MAX_MB}MB`, 'MEDIA_TOO_LARGE');
+  }
+  return buffer;
+}
+
+function saveBase64Media({ filename, mime, base64 }) {
+  const buffer = decodeBase64Media({ mime, base64 });
+  const name = filename || `file_${Date.now()}`;
+  const filePath = outgoingPath(name);
+  fs.writeFileSync(filePath, buffer);
+  return { filename: path.basename(name), mime, filePath };
+}
+
+/**
+ * Download media from a URL to disk, enforcing MEDIA_MAX_MB and MEDIA_ALLOWED_MIME.
+ * Private and local addresses are refused, on redirects too (see outboundUrls.js).
+ * @param {string} url - http(s) URL
+ * @param {string} [filename] - Name to send the file as; derived from the URL when omitted
+ * @returns {Promise<Object>} - { filename, mime, filePath }
+ */
+async function downloadMediaFromUrl(url, filename) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    throw mediaError('media.url is not a valid URL', 'MEDIA_FETCH_FAILED');
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw mediaError('media.url must be http or https', 'MEDIA_FETCH_FAILED');
+  }
+  try {
+    await checkOutboundUrl(parsed.toString());
+  } catch (error) {
+    throw mediaError(`media.url is not allowed: ${error.message}`, 'MEDIA_URL_NOT_ALLOWED');
+  }
+
+  let response;
+  try {
+    response = await axios.get(parsed.toString(), {
+      responseType: 'stream',
+      timeout: MEDIA_URL_TIMEOUT_MS,
+      maxContentLength: MEDIA_MAX_BYTES,
+      maxRedirects: 5,
+      ...guardedRequestOptions()
+    });
+  } catch (error) {
+    const blocked = findBlockedUrlError(error);
+    if (blocked) throw mediaError(`media.url is not allowed: ${blocked.message}`, 'MEDIA_URL_NOT_ALLOWED');
+    const reason = error.response ? `HTTP ${error.response.status}` : error.message;
+    throw mediaError(`failed to fetch media.url: ${reason}`, 'MEDIA_FETCH_FAILED');
+  }
+
+  const mime = String(response.headers['content-type'] || '').split(';')[0].trim();
+  if (!isAllowedMime(mime)) {
+    response.data.destroy();
+    throw mediaError(`media type ${mime || 'unknown'} is not allowed`, 'MEDIA_TYPE_NOT_ALLOWED');
+  }
+
+  const declaredLength = Number(response.headers['content-length']);
+  if (declaredLength > MEDIA_MAX_BYTES) {
+    response.data.destroy();
+    throw mediaError(`media exceeds ${MEDIA_MAX_MB}MB`, 'MEDIA_TOO_LARGE');
+  }
+
+  const name = filename || path.basename(parsed.pathname) || `file_${Date.now()}`;
+  const filePath = outgoingPath(name);
+
+  // Content-Length can be missing or wrong, so count bytes while streaming
+  let received = 0;
+  const limiter = new Transform({
+    transform(chunk, encoding, callback) {
+      received += chunk.length;
+      if (received > MEDIA_MAX_BYTES) {
+        return callback(mediaError(`media exceeds ${MEDIA_MAX_MB}MB`, 'MEDIA_TOO_LARGE'));
+      }
+      return callback(null, chunk);
+    }
+  });
+
+  try {
+    await pipeline(response.data, limiter, fs.createWriteStream(filePath));
+  } catch (error) {
+    fs.rmSync(filePath, { force: true });
+    if (error.code === 'MEDIA_TOO_LARGE') throw error;
+    throw mediaError(`failed to fetch media.url: ${error.message}`, 'MEDIA_FETCH_FAILED');
+  }
+
+  console.log(`[MEDIA] Fetched ${parsed.host}${parsed.pathname} (${received} bytes, ${mime})`);
+  return { filename: path.basename(name), mime, filePath };
+}
+
+// Multipart uploads are streamed straight to OUTGOING_MEDIA_DIR
+const upload = multer({
+  storage: multer.diskStorage({
+    destination: OUTGOING_MEDIA_DIR,
+    filename: (req, file, cb) => cb(null, path.basename(outgoingPath(file.originalname)))
+  }),
+  limits: { fileSize: MEDIA_MAX_BYTES, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!isAllowedMime(file.mimetype)) {
+      return cb(mediaError(`media type ${file.mimetype} is not allowed`, 'MEDIA_TYPE_NOT_ALLOWED'));
+    }
+    return cb(null, true);
+  }
+});
+
+/**
+ * Express middleware accepting an optional multipart `file` field.
+ * JSON requests pass through untouched.
+ */
+function acceptMediaUpload(req, res, next) {
+  upload.single('file')(req, res, (err) => {
+    if (!err) return next();
+    // Same statuses as base64 and URL media (415 for a refused type)
+    const status = mediaErrorStatus(err) || (err.code === 'LIMIT_FILE_SIZE' ? 413 : 400);
+    return res.status(status).json({ error: err.message });
+  });
+}
+
+/**
+ * Normalize the media of a send request to { filename, mime, filePath }
+ * @param {Object|string} media - { url, filename } | { filename, mime, base64 } | data URL
+ * @param {Object} [file] - Multipart file from acceptMediaUpload
+ * @returns {Promise<Object|null>}
+ */
+async function resolveOutgoingMedia(media, file) {
+  if (file) {
+    return { filename: file.originalname, mime: file.mimetype, filePath: file.path };
+  }
+
+  media = parseDataUrlMedia(media);
+  if (!media) return null;
+
+  if (typeof media === 'object' && media.url) {
+    return downloadMediaFromUrl(media.url, media.filename);
+  }
+  if (typeof media === 'object' && typeof media.base64 === 'string' && media.mime) {
+    return saveBase64Media(media);
+  }
+  throw mediaError('media requires url, or mime and base64', 'MEDIA_INVALID');
+}
+
+/**
+ * HTTP status for a media error
+ */
+function mediaErrorStatus(error) {
+  switch (error.code) {
+    case 'MEDIA_TOO_LARGE': return 413;
+    case 'MEDIA_TYPE_NOT_ALLOWED': return 415;
+    case 'MEDIA_FETCH_FAILED': return 422;
+    case 'MEDIA_URL_NOT_ALLOWED': return 400;
+    case 'MEDIA_INVALID': return 400;
+    default: return null;
+  }
+}
+
+/**
+ * Delete outgoing media older than maxAgeMs
+ * @param {number} maxAgeMs - Retention in milliseconds
+ * @param {Set<string>} keepPaths - Files still needed (e.g. by queued messages)
+ * @returns {Promise<Object>} - { deletedCount, freedBytes }
+ */
+async function cleanupOutgoingMedia(maxAgeMs, keepPaths = new Set()) {
+  const now = Date.now();
+  let deletedCount = 0;
+  let freedBytes = 0;
+
+  for (const file of await fs.promises.readdir(OUTGOING_MEDIA_DIR)) {
+    const filePath = path.join(OUTGOING_MEDIA_DIR, file);
+    if (keepPaths.has(filePath)) continue;
+    try {
+      const stats = await fs.promises.stat(filePath);
+      if (now - stats.mtime.getTime() > maxAgeMs) {
+        await fs.promises.unlink(filePath);
+        deletedCount++;
+        freedBytes += stats.size;
+      }
+    } catch (error) {
+      console.error(`[CLEANUP ERROR] Failed to process outgoing media ${file}:`, error.message);
+    }
+  }
+  return { deletedCount, freedBytes };
+}
+
+module.exports = {
+  OUTGOING_MEDIA_DIR,
+  acceptMediaUpload,
+  parseDataUrlMedia,
+  decodeBase64Media,
+  resolveOutgoingMedia,
+  mediaErrorStatus,
+  cleanupOutgoingMedia
+};
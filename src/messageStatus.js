@@ -0,0 +1,224 @@
+// Delivery status of outgoing messages. Every message sent through the queue is recorded
+// with its WhatsApp id, recipient and payload hash, then updated from message_ack events.
+// Persisted in data/outgoing-messages.json.
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+
+const DATA_DIR = path.resolve(process.cwd(), 'data');
+const MESSAGES_FILE = path.join(DATA_DIR, 'outgoing-messages.json');
+
+const RETENTION_DAYS = Number(process.env.MESSAGE_STATUS_RETENTION_DAYS || 30);
+
+if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
+
+// whatsapp-web.js MessageAck values
+const ACK_STATES = {
+  '-1': 'failed',
+  0: 'pending',
+  1: 'sent',
+  2: 'delivered',
+  3: 'read',
+  4: 'played'
+};
+const STATE_ORDER = ['pending', 'sent', 'delivered', 'read', 'played'];
+const STATES = [...STATE_ORDER, 'failed'];
+
+/*
+  records: [{
+    id, clientId, queueItemId, recipient, type, payloadHash, state,
+    createdAt, updatedAt, history: [{ state, at, error }]
+  }]
+  id is the serialized WhatsApp message id; null when the send failed before WhatsApp accepted it
+  payloadHash is null for a moment after recording, until the payload is hashed
+*/
+let records = [];
+
+// Acks that arrived before the send resolved and the record was written
+const earlyAcks = new Map(); // messageId -> { ack, at }
+
+// Acks come in bursts; changes are written together at most this often
+const SAVE_DELAY_MS = 1000;
+let saveTimer = null;
+
+function flushRecords() {
+  if (saveTimer) {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+  }
+  try {
+    fs.writeFileSync(MESSAGES_FILE, JSON.stringify(records, null, 2));
+  } catch (error) {
+    console.error('[ERROR] Failed to save outgoing messages:', error);
+  }
+}
+
+function saveRecords() {
+  if (saveTimer) return;
+  saveTimer = setTimeout(flushRecords, SAVE_DELAY_MS);
+  saveTimer.unref();
+}
+
+process.on('exit', () => {
+  if (saveTimer) flushRecords();
+});
+
+function loadRecords() {
+  try {
+    if (fs.existsSync(MESSAGES_FILE)) {
+      records = JSON.parse(fs.readFileSync(MESSAGES_FILE, 'utf8'));
+      console.log(`[INFO] Loaded ${records.length} outgoing message records`);
+    }
+  } catch (error) {
+    console.error('[ERROR] Failed to load outgoing messages:', error);
+  }
+}
+
+loadRecords();
+
+/**
+ * sha256 of what was sent: text, type-specific content and the media bytes.
+ * Media files are streamed through the hash rather than read into memory.
+ * @returns {Promise<string>}
+ */
+async function hashPayload({ message, media, content }) {
+  const hash = crypto.createHash('sha256');
+  hash.update(JSON.stringify({ message: message || '', content: content || null }));
+  if (media) {
+    hash.update(`${media.filename || ''}|${media.mime || ''}|`);
+    if (media.base64) {
+      hash.update(Buffer.from(media.base64, 'base64'));
+    } else if (media.filePath && fs.existsSync(media.filePath)) {
+      for await (const chunk of fs.createReadStream(media.filePath)) hash.update(chunk);
+    }
+  }
+  return hash.digest('hex');
+}
+
+function applyState(record, state, at, error) {
+  if (record.state === state) return false;
+  // Acks can arrive out of order; never move back (e.g. from read to delivered)
+  if (state !== 'failed' && record.state !== 'failed'
+    && STATE_ORDER.indexOf(state) < STATE_ORDER.indexOf(record.state)) {
+    return false;
+  }
+  record.state = state;
+  record.updatedAt = at;
+  record.history.push({ state, at, ...(error ? { error } : {}) });
+  return true;
+}
+
+/**
+ * Record a message handed to WhatsApp, or one that failed before it got there
+ * @param {Object} params
+ * @param {string} params.clientId - Client ID
+ * @param {string|null} params.messageId - Serialized WhatsApp message id (null on failure)
+ * @param {string} params.queueItemId - Send queue item id
+ * @param {string} params.recipient - Phone number or chat id
+ * @param {Object} params.payload - { message, media, content } used for the payload hash
+ * @param {string} [params.error] - Set when the send failed
+ * @returns {Object} - The record
+ */
+function recordOutgoingMessage({ clientId, messageId, queueItemId, recipient, payload, error }) {
+  const now = Date.now();
+  const state = error ? 'failed' : 'sent';
+  const record = {
+    id: messageId || null,
+    clientId,
+    queueItemId: queueItemId || null,
+    recipient: recipient || null,
+    type: (payload.content && payload.content.type) || (payload.media ? 'media' : 'text'),
+    payloadHash: null,
+    state,
+    createdAt: now,
+    updatedAt: now,
+    history: [{ state, at: now, ...(error ? { error } : {}) }]
+  };
+
+  const early = messageId && earlyAcks.get(messageId);
+  if (early) {
+    earlyAcks.delete(messageId);
+    if (ACK_STATES[early.ack]) applyState(record, ACK_STATES[early.ack], early.at);
+  }
+
+  records.push(record);
+  saveRecords();
+
+  // Filled in once hashed, so the send queue doesn't wait on a large media file
+  hashPayload(payload)
+    .then((payloadHash) => {
+      record.payloadHash = payloadHash;
+      saveRecords();
+    })
+    .catch(hashError => console.error(`[ERROR] Failed to hash payload of message ${record.queueItemId}:`, hashError.message));
+  return record;
+}
+
+/**
+ * Update a record from a message_ack event
+ * @param {string} clientId - Client ID
+ * @param {string} messageId - Serialized WhatsApp message id
+ * @param {number} ack - whatsapp-web.js MessageAck value
+ */
+function updateFromAck(clientId, messageId, ack) {
+  const state = ACK_STATES[ack];
+  if (!state) return;
+
+  const record = records.find(r => r.id === messageId && r.clientId === clientId);
+  if (!record) {
+    earlyAcks.set(messageId, { ack, at: Date.now() });
+    // Acks for messages sent outside the API never get a record
+    setTimeout(() => earlyAcks.delete(messageId), 60000).unref();
+    return;
+  }
+  if (applyState(record, state, Date.now(), state === 'failed' ? 'WhatsApp reported a send error' : undefined)) {
+    saveRecords();
+  }
+}
+
+/**
+ * Find a record by WhatsApp message id or send queue item id
+ */
+function getMessageStatus(clientId, messageId) {
+  return records.find(r => r.clientId === clientId && (r.id === messageId || r.queueItemId === messageId));
+}
+
+/**
+ * Outgoing messages of a client, newest first
+ * @param {string} clientId - Client ID
+ * @param {Object} filters - { state, since, until } (since/until in epoch ms, on createdAt)
+ */
+function listMessageStatuses(clientId, { state, since, until } = {}) {
+  return records
+    .filter(r => r.clientId === clientId
+      && (!state || r.state === state)
+      && (!since || r.createdAt >= since)
+      && (!until || r.createdAt <= until))
+    .sort((a, b) => b.createdAt - a.createdAt);
+}
+
+function removeClientMessageStatuses(clientId) {
+  const before = records.length;
+  records = records.filter(r => r.clientId !== clientId);
+  if (records.length !== before) saveRecords();
+}
+
+function pruneMessageStatuses() {
+  const cutoff = Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  const before = records.length;
+  records = records.filter(r => r.updatedAt >= cutoff);
+  if (records.length !== before) {
+    saveRecords();
+    console.log(`[CLEANUP] Removed ${before - records.length} outgoing message records`);
+  }
+}
+
+module.exports = {
+  STATES,
+  recordOutgoingMessage,
+  updateFromAck,
+  getMessageStatus,
+  listMessageStatuses,
+  removeClientMessageStatuses,
+  pruneMessageStatuses
+};
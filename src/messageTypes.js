@@ -0,0 +1,137 @@
+// Message types accepted by the send API, selected with a `type` discriminator.
+// Validation happens before queueing; sendMessage turns the content into whatsapp-web.js calls.
+
+const MESSAGE_TYPES = ['text', 'media', 'location', 'contact', 'poll', 'reaction'];
+const MEDIA_SEND_AS = ['auto', 'document', 'sticker', 'voice'];
+const MAX_POLL_OPTIONS = 12;
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+/**
+ * Infer the type when the caller did not give one
+ */
+function resolveMessageType(type, hasMedia) {
+  if (type) return type;
+  return hasMedia ? 'media' : 'text';
+}
+
+/**
+ * Validate the type-specific fields of a send request
+ * @param {Object} payload - { type, phone, message, media, sendAs, location, contact, poll, reaction, quotedMessageId }
+ *   `media` is the resolved { filename, mime, filePath } (or null)
+ * @returns {Array<string>} - Validation errors; empty when the payload is valid
+ */
+function validateMessagePayload(payload) {
+  const { type, phone, message, media, sendAs, location, contact, poll, reaction, quotedMessageId } = payload;
+  const errors = [];
+
+  if (!MESSAGE_TYPES.includes(type)) {
+    return [`type must be one of: ${MESSAGE_TYPES.join(', ')}`];
+  }
+  if (type !== 'reaction' && !phone) errors.push('phone required');
+  if (media && type !== 'media') errors.push(`media cannot be sent with type ${type}`);
+  if (quotedMessageId !== undefined && !isNonEmptyString(quotedMessageId)) {
+    errors.push('quotedMessageId must be a message id string');
+  }
+
+  switch (type) {
+    case 'text':
+      if (!isNonEmptyString(message)) errors.push('message required');
+      break;
+
+    case 'media': {
+      if (!media) {
+        errors.push('media required');
+        break;
+      }
+      const as = sendAs || 'auto';
+      if (!MEDIA_SEND_AS.includes(as)) {
+        errors.push(`sendAs must be one of: ${MEDIA_SEND_AS.join(', ')}`);
+      } else if (as === 'sticker' && !/^(image|video)\//.test(media.mime)) {
+        errors.push('stickers must be an image or video');
+      } else if (as === 'voice' && !/^audio\//.test(media.mime)) {
+        errors.push('voice notes must be audio');
+      }
+      break;
+    }
+
+    case 'location': {
+      const latitude = Number(location && location.latitude);
+      const longitude = Number(location && location.longitude);
+      if (!location || !Number.isFinite(latitude) || latitude < -90 || latitude > 90) {
+        errors.push('location.latitude must be a number between -90 and 90');
+      }
+      if (!location || !Number.isFinite(longitude) || longitude < -180 || longitude > 180) {
+        errors.push('location.longitude must be a number between -180 and 180');
+      }
+      break;
+    }
+
+    case 'contact':
+      if (!contact || (!isNonEmptyString(contact.contactId) && !isNonEmptyString(contact.vcard))) {
+        errors.push('contact.contactId or contact.vcard required');
+      } else if (contact.vcard && !/^BEGIN:VCARD/i.test(contact.vcard.trim())) {
+        errors.push('contact.vcard must be a vCard (BEGIN:VCARD ... END:VCARD)');
+      }
+      break;
+
+    case 'poll': {
+      if (!poll || !isNonEmptyString(poll.question)) errors.push('poll.question required');
+      const options = poll && poll.options;
+      if (!Array.isArray(options) || options.length < 2 || options.length > MAX_POLL_OPTIONS) {
+        errors.push(`poll.options must be an array of 2 to ${MAX_POLL_OPTIONS} answers`);
+      } else if (!options.every(isNonEmptyString)) {
+        errors.push('poll.options must be non-empty strings');
+      } else if (new Set(options.map(o => o.trim())).size !== options.length) {
+        errors.push('poll.options must be unique');
+      }
+      if (poll && poll.allowMultipleAnswers !== undefined && typeof poll.allowMultipleAnswers !== 'boolean') {
+        errors.push('poll.allowMultipleAnswers must be a boolean');
+      }
+      break;
+    }
+
+    case 'reaction':
+      if (!reaction || !isNonEmptyString(reaction.messageId)) errors.push('reaction.messageId required');
+      if (!reaction || typeof reaction.emoji !== 'string') {
+        errors.push('reaction.emoji required (empty string removes a reaction)');
+      }
+      if (quotedMessageId) errors.push('reactions cannot quote a message');
+      break;
+  }
+
+  return errors;
+}
+
+/**
+ * The type-specific part of a payload that is stored with a queued message
+ */
+function pickMessageContent(payload) {
+  const { type, sendAs, location, contact, poll, reaction, quotedMessageId } = payload;
+  const content = { type };
+  if (quotedMessageId) content.quotedMessageId = quotedMessageId;
+  if (type === 'media' && sendAs) content.sendAs = sendAs;
+  if (type === 'location') {
+    content.location = {
+      latitude: Number(location.latitude),
+      longitude: Number(location.longitude),
+      name: location.name,
+      address: location.address,
+      url: location.url
+    };
+  }
+  if (type === 'contact') content.contact = contact;
+  if (type === 'poll') content.poll = poll;
+  if (type === 'reaction') content.reaction = reaction;
+  return content;
+}
+
+module.exports = {
+  MESSAGE_TYPES,
+  MEDIA_SEND_AS,
+  resolveMessageType,
+  validateMessagePayload,
+  pickMessageContent
+};
@@ -0,0 +1,143 @@
+// Guard for URLs the server requests on behalf of API callers (media.url, webhooks), so a
+// caller can't make it reach loopback, private-network, link-local (cloud metadata) or
+// unique-local addresses. Hostnames are checked when they are resolved for each connection,
+// which also covers every redirect hop and DNS answers that change after validation.
+// Hosts listed in OUTBOUND_ALLOWED_HOSTS (e.g. an internal webhook receiver) are exempt.
+const dns = require('dns');
+const net = require('net');
+
+const OUTBOUND_ALLOWED_HOSTS = new Set((process.env.OUTBOUND_ALLOWED_HOSTS || '')
+  .split(',')
+  .map(h => h.trim().toLowerCase())
+  .filter(Boolean));
+
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8], // "this" network
+  ['10.0.0.0', 8], // private
+  ['100.64.0.0', 10], // carrier-grade NAT
+  ['127.0.0.0', 8], // loopback
+  ['169.254.0.0', 16], // link-local, cloud metadata
+  ['172.16.0.0', 12], // private
+  ['192.0.0.0', 24], // IETF protocol assignments
+  ['192.168.0.0', 16], // private
+  ['198.18.0.0', 15], // benchmarking
+  ['224.0.0.0', 4], // multicast
+  ['240.0.0.0', 4] // reserved, broadcast
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], // unspecified
+  ['::1', 128], // loopback
+  ['64:ff9b::', 96], // NAT64 of IPv4 addresses
+  ['fc00::', 7], // unique-local
+  ['fe80::', 10], // link-local
+  ['ff00::', 8] // multicast
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv6'));
+
+function urlError(message) {
+  const err = new Error(message);
+  err.code = 'URL_NOT_ALLOWED';
+  return err;
+}
+
+/**
+ * Whether an IP address is loopback, private, link-local or otherwise not publicly routable
+ */
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (family === 4) return blockedAddresses.check(address, 'ipv4');
+  if (family !== 6) return true;
+  // IPv4-mapped (::ffff:10.0.0.1) is checked as the IPv4 address
+  const mapped = address.toLowerCase().match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+  if (mapped) return blockedAddresses.check(mapped[1], 'ipv4');
+  return blockedAddresses.check(address, 'ipv6');
+}
+
+function isAllowedHost(hostname) {
+  return OUTBOUND_ALLOWED_HOSTS.has(String(hostname).toLowerCase());
+}
+
+/**
+ * Throw for an IP literal host (not resolved, so the lookup hook never sees it) in a private range
+ */
+function checkHost(hostname) {
+  const host = String(hostname).replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && !isAllowedHost(host) && isPrivateAddress(host)) {
+    throw urlError(`${host} is a private or local address`);
+  }
+}
+
+/**
+ * DNS lookup that refuses hostnames resolving to a private address (axios `lookup` option)
+ */
+async function lookupPublicAddress(hostname, options) {
+  const addresses = await dns.promises.lookup(hostname, { ...options, all: true });
+  if (!isAllowedHost(hostname)) {
+    const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+    if (blocked) throw urlError(`${hostname} resolves to the private or local address ${blocked.address}`);
+  }
+  return addresses;
+}
+
+/**
+ * Parse and check a URL the server is asked to request
+ * @param {string} url - Caller-supplied URL
+ * @param {Object} [options] - { resolve: true } to also resolve the hostname now (early error for stored URLs)
+ * @returns {Promise<URL>}
+ * @throws {Error} - code URL_NOT_ALLOWED, or INVALID_URL when it is not an http(s) URL
+ */
+async function checkOutboundUrl(url, { resolve = false } = {}) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    const err = new Error('not a valid URL');
+    err.code = 'INVALID_URL';
+    throw err;
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    const err = new Error('URL must be http or https');
+    err.code = 'INVALID_URL';
+    throw err;
+  }
+  checkHost(parsed.hostname);
+  if (resolve && !net.isIP(parsed.hostname.replace(/^\[|\]$/g, ''))) {
+    try {
+      await lookupPublicAddress(parsed.hostname, {});
+    } catch (error) {
+      if (error.code === 'URL_NOT_ALLOWED') throw error;
+      throw urlError(`cannot resolve ${parsed.hostname}`);
+    }
+  }
+  return parsed;
+}
+
+/**
+ * The URL_NOT_ALLOWED error behind a failed request, if that is why it failed
+ * (axios and redirects wrap errors of the lookup hook)
+ */
+function findBlockedUrlError(error) {
+  for (let cause = error; cause; cause = cause.cause) {
+    if (cause.code === 'URL_NOT_ALLOWED') return cause;
+  }
+  return null;
+}
+
+/**
+ * axios options applying the checks to every connection and redirect of a request
+ */
+function guardedRequestOptions() {
+  return {
+    lookup: lookupPublicAddress,
+    beforeRedirect: (options) => checkHost(options.hostname),
+    // An HTTP(S)_PROXY from the environment would resolve the target itself
+    proxy: false
+  };
+}
+
+module.exports = {
+  isPrivateAddress,
+  checkOutboundUrl,
+  guardedRequestOptions,
+  findBlockedUrlError
+};
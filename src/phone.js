@@ -0,0 +1,60 @@
+// Phone number parsing. Numbers are parsed to E.164 with libphonenumber-js, using a
+// default region for national numbers: request > client > DEFAULT_REGION env.
+const { parsePhoneNumberFromString, isSupportedCountry } = require('libphonenumber-js/max');
+
+const DEFAULT_REGION = (process.env.DEFAULT_REGION || 'IN').toUpperCase();
+
+function phoneError(message) {
+  const err = new Error(message);
+  err.code = 'INVALID_PHONE';
+  return err;
+}
+
+/**
+ * Whether a value is a supported ISO 3166-1 alpha-2 region code (e.g. "IN", "GB")
+ */
+function isValidRegion(region) {
+  return typeof region === 'string' && isSupportedCountry(region.toUpperCase());
+}
+
+/**
+ * Parse a phone number to E.164
+ * @param {string|number} phone - "+44 7911 123456", "0044...", "07911 123456" (with region GB), ...
+ * @param {string} [region] - Region for numbers without an international prefix
+ * @returns {Object} - { e164, digits, chatId }
+ * @throws {Error} - code INVALID_PHONE
+ */
+function normalizePhone(phone, region) {
+  if (typeof phone !== 'string' && typeof phone !== 'number') throw phoneError('phone must be a string');
+  const input = String(phone).trim();
+  if (!input) throw phoneError('phone required');
+
+  const defaultRegion = (region || DEFAULT_REGION).toUpperCase();
+  let parsed = parsePhoneNumberFromString(input, defaultRegion);
+
+  // Digits that are not valid in the default region may already carry a country code ("447911123456")
+  if ((!parsed || !parsed.isValid()) && /^[\d\s\-().]+$/.test(input)) {
+    const international = parsePhoneNumberFromString(`+${input.replace(/\D/g, '')}`);
+    if (international && international.isValid()) parsed = international;
+  }
+  if (!parsed || !parsed.isValid()) throw phoneError(`invalid phone number: ${input}`);
+
+  const digits = parsed.number.slice(1);
+  return { e164: parsed.number, digits, chatId: `${digits}@c.us` };
+}
+
+/**
+ * WhatsApp chat id for a phone number; ids that already contain "@" (e.g. groups) pass through
+ */
+function toChatId(phone, region) {
+  const value = String(phone).trim();
+  if (value.includes('@')) return value;
+  return normalizePhone(value, region).chatId;
+}
+
+module.exports = {
+  DEFAULT_REGION,
+  isValidRegion,
+  normalizePhone,
+  toChatId
+};
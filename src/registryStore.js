@@ -0,0 +1,174 @@
+// Persistence backends for the client registry, selected with REGISTRY_BACKEND:
+//   file   - data/clients-registry.json, rewritten atomically (write temp file, then rename)
+//   sqlite - data/registry.sqlite, one row per client
+// Either way the registry has a single writer: one server process owns all its clients and
+// reconnects every one of them on start, so two processes must not use the same store.
+// Every backend implements { name, load(), saveMany(records), remove(clientId), close() }.
+// saveMany() takes { clientId: record } and writes them together.
+const path = require('path');
+const fs = require('fs');
+
+const DATA_DIR = path.resolve(process.cwd(), 'data');
+const REGISTRY_FILE = path.join(DATA_DIR, 'clients-registry.json');
+const REGISTRY_SQLITE_PATH = path.resolve(process.env.REGISTRY_SQLITE_PATH || path.join(DATA_DIR, 'registry.sqlite'));
+
+const REGISTRY_BACKENDS = ['file', 'sqlite'];
+
+if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
+
+/**
+ * Write a file so readers see either the old or the new content, never a partial one
+ */
+function writeFileAtomic(filePath, content) {
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  const fd = fs.openSync(tmpPath, 'w');
+  try {
+    fs.writeSync(fd, content);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tmpPath, filePath);
+}
+
+function readJsonFile(filePath) {
+  if (!fs.existsSync(filePath)) return {};
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * JSON file backend. Keeps all records in memory and rewrites the file once per save.
+ */
+function createFileStore(filePath = REGISTRY_FILE) {
+  let records = null;
+
+  function ensureLoaded() {
+    if (!records) records = readJsonFile(filePath);
+    return records;
+  }
+
+  return {
+    name: 'file',
+
+    load() {
+      records = readJsonFile(filePath);
+      return { ...records };
+    },
+
+    saveMany(changed) {
+      Object.assign(ensureLoaded(), changed);
+      writeFileAtomic(filePath, JSON.stringify(records, null, 2));
+    },
+
+    remove(clientId) {
+      if (!(clientId in ensureLoaded())) return;
+      delete records[clientId];
+      writeFileAtomic(filePath, JSON.stringify(records, null, 2));
+    },
+
+    close() {}
+  };
+}
+
+/**
+ * better-sqlite3 is an optional dependency (a native module that needs Node 20+), loaded
+ * lazily so it is only needed when this backend is used
+ */
+function loadSqliteDriver() {
+  try {
+    return require('better-sqlite3');
+  } catch (error) {
+    if (error.code !== 'MODULE_NOT_FOUND') throw error;
+    throw new Error('REGISTRY_BACKEND=sqlite requires the optional dependency better-sqlite3 (Node 20+); install it with "npm install better-sqlite3" or use REGISTRY_BACKEND=file');
+  }
+}
+
+/**
+ * SQLite backend (better-sqlite3). Only changed rows are written, in one transaction.
+ */
+function createSqliteStore(dbPath = REGISTRY_SQLITE_PATH) {
+  const Database = loadSqliteDriver();
+  const db = new Database(dbPath);
+  db.pragma('journal_mode = WAL');
+  db.pragma('busy_timeout = 5000');
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS clients (
+      client_id TEXT PRIMARY KEY,
+      data TEXT NOT NULL,
+      updated_at INTEGER NOT NULL
+    )
+  `);
+
+  const selectAll = db.prepare('SELECT client_id, data FROM clients');
+  const upsert = db.prepare(`
+    INSERT INTO clients (client_id, data, updated_at) VALUES (?, ?, ?)
+    ON CONFLICT(client_id) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at
+  `);
+  const deleteOne = db.prepare('DELETE FROM clients WHERE client_id = ?');
+  const count = db.prepare('SELECT COUNT(*) AS n FROM clients');
+
+  // First start on SQLite: carry over clients from the JSON file
+  if (count.get().n === 0 && fs.existsSync(REGISTRY_FILE)) {
+    try {
+      const legacy = readJsonFile(REGISTRY_FILE);
+      db.transaction(() => {
+        for (const [clientId, record] of Object.entries(legacy)) {
+          upsert.run(clientId, JSON.stringify(record), Date.now());
+        }
+      })();
+      console.log(`[INFO] Imported ${Object.keys(legacy).length} clients from ${REGISTRY_FILE} into ${dbPath}`);
+    } catch (error) {
+      console.error('[ERROR] Failed to import clients-registry.json into SQLite:', error);
+    }
+  }
+
+  return {
+    name: 'sqlite',
+
+    load() {
+      const records = {};
+      for (const row of selectAll.all()) {
+        records[row.client_id] = JSON.parse(row.data);
+      }
+      return records;
+    },
+
+    saveMany(changed) {
+      const now = Date.now();
+      db.transaction(() => {
+        for (const [clientId, record] of Object.entries(changed)) {
+          upsert.run(clientId, JSON.stringify(record), now);
+        }
+      })();
+    },
+
+    remove(clientId) {
+      deleteOne.run(clientId);
+    },
+
+    close() {
+      db.close();
+    }
+  };
+}
+
+/**
+ * Create the backend named by REGISTRY_BACKEND (default "file")
+ */
+function createRegistryStore(backend = process.env.REGISTRY_BACKEND || 'file') {
+  switch (backend) {
+    case 'file':
+      return createFileStore();
+    case 'sqlite':
+      return createSqliteStore();
+    default:
+      throw new Error(`Unknown REGISTRY_BACKEND "${backend}" (expected one of: ${REGISTRY_BACKENDS.join(', ')})`);
+  }
+}
+
+module.exports = {
+  REGISTRY_BACKENDS,
+  createRegistryStore,
+  createFileStore,
+  createSqliteStore
+};
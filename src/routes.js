@@ -1,22 +1,93 @@
 const express = require('express');
 const router = express.Router();
-const { createClientEntry, getClientEntry, stopClient, deleteClient, listClients, sendMessage, getChatsAccordingToTime, fetchMessagesForChat, fetchReceivedMessagesOnly, getChatsWithReceivedAttachments } = require('./clientsRegistry');
-const { saveBase64ToFile, DOWNLOADS_DIR } = require('./utils');
+const { createClientEntry, getClientEntry, requestPairingCode, extendClientExpiry, stopClient, deleteClient, listClients, sendMessage, getWhatsAppId, getChatsAccordingToTime, fetchMessagesForChat, fetchReceivedMessagesOnly, getChatsWithReceivedAttachments } = require('./clientsRegistry');
+const { DOWNLOADS_DIR } = require('./utils');
+const { isValidRegion, normalizePhone } = require('./phone');
+const { DEFAULT_WEB_VERSION, validateClientConfig } = require('./clientFactory');
+const { getHealth } = require('./supervisor');
+const { EXPIRY_POLICIES, SESSION_TTL_MS, SESSION_MAX_EXPIRY_HOURS } = require('./sessionExpiry');
+const { subscribeClientEvents } = require('./clientEvents');
+const { STATES: MESSAGE_STATES, getMessageStatus, listMessageStatuses } = require('./messageStatus');
+const { resolveMessageType, validateMessagePayload, pickMessageContent } = require('./messageTypes');
+const { acceptMediaUpload, parseDataUrlMedia, resolveOutgoingMedia, mediaErrorStatus } = require('./media');
+const { registerWebhook, listWebhooks, deleteWebhook, listDeadLetters, replayDeadLetters } = require('./webhooks');
+const { SEND_WAIT_TIMEOUT_MS, enqueueMessage, getQueuedMessage, listQueue, cancelQueuedMessage, cancelClientQueue, waitForSend, serializeQueueItem, getSettings, updateSettings } = require('./sendQueue');
+const { createBroadcast, getBroadcast, listBroadcasts, removeClientBroadcasts, serializeBroadcast } = require('./broadcasts');
+const { createTemplate, updateTemplate, deleteTemplate, getTemplate, listTemplates, findMissingVariables, renderTemplateMessage, serializeTemplate } = require('./templates');
+const { createJob, getJob, listJobs, cancelJob, serializeJob } = require('./jobs');
+const { parseExportFormats } = require('./exportFormats');
+const { parseExportFilters, describeExportFilters } = require('./exportFilters');
+const { EXPORT_MODES, listExportCursors, resetExportCursors } = require('./exportCursors');
+const { verifyExportArchive, acceptExportUpload, removeUpload } = require('./exportVerify');
+const { ENCRYPTED_EXTENSION, parseEncryptionOptions } = require('./exportEncryption');
+const { parseRetentionHours, getExportRecord, listExportRecords, setExportRetention, deleteExport, serializeExportRecord } = require('./exportCatalog');
+const { parseLinkOptions, issueDownloadLink, checkDownloadToken, redeemDownloadToken, listDownloadTokens, revokeDownloadTokens } = require('./downloadLinks');
+const { cleanupExpiredExports } = require('./exportCleanup');
+const { requireAdmin, canAccessOwner, resolveOwner, createApiKey, listApiKeys, revokeApiKey } = require('./auth');
 const path = require('path');
 const fs = require('fs');
 
-const SESSION_EXPIRY_HOURS = Number(process.env.SESSION_EXPIRY_HOURS || 6);
-const EXPIRY_MS = SESSION_EXPIRY_HOURS * 60 * 60 * 1000;
+const MAX_CHECK_NUMBERS = 100;
+const SSE_HEARTBEAT_MS = 25000;
+
+// Every /clients/:id route is scoped to the caller's owner. Clients belonging to
+// someone else are reported as not found so their ids don't leak.
+router.param('id', (req, res, next, id) => {
+  const entry = getClientEntry(id);
+  if (!entry || !canAccessOwner(req.auth, entry.owner)) {
+    return res.status(404).json({ error: 'client not found' });
+  }
+  return next();
+});
 
 // POST /clients/start
+// Body (all optional): {
+//   defaultRegion: "GB",               // region for numbers without a country code
+//   webVersion: "2.2412.54",           // WhatsApp Web version to load
+//   puppeteerArgs: ["--lang=en-GB"],   // extra Chromium flags (admin keys only)
+//   pairingPhone: "+447911123456",     // log in with a pairing code sent to this number instead of a QR
+//   expiryPolicy: "sliding",           // fixed | sliding | never (admin keys only)
+//   expiryHours: 12                    // session lifetime; for sliding, allowed idle time
+// }
 router.post('/clients/start', async (req, res) => {
+  const { defaultRegion, puppeteerArgs, webVersion, expiryPolicy, expiryHours } = req.body || {};
+  if (defaultRegion !== undefined && !isValidRegion(defaultRegion)) {
+    return res.status(400).json({ error: 'defaultRegion must be an ISO 3166-1 alpha-2 code such as IN or GB' });
+  }
+  const expiryError = validateExpiryOptions(req, expiryPolicy, expiryHours, 'expiryHours');
+  if (expiryError) return res.status(expiryError.status).json({ error: expiryError.error });
+  // WhatsApp expects the pairing number in international format, digits only
+  let pairingPhone;
+  if (req.body && req.body.pairingPhone !== undefined) {
+    try {
+      pairingPhone = normalizePhone(req.body.pairingPhone, defaultRegion).digits;
+    } catch (e) {
+      return res.status(400).json({ error: `pairingPhone: ${e.message}`, code: e.code });
+    }
+  }
+  const configErrors = validateClientConfig({ puppeteerArgs, webVersion, pairingPhone });
+  if (configErrors.length) return res.status(400).json({ error: configErrors.join('; '), errors: configErrors });
+  // Chromium flags can reach the host (e.g. --remote-debugging-port), so only admins may set them
+  if (puppeteerArgs !== undefined && !req.auth.isAdmin) {
+    return res.status(403).json({ error: 'puppeteerArgs requires an admin API key' });
+  }
+
   try {
-    const owner = req.body.owner || req.headers['x-owner'] || 'anonymous';
-    const entry = createClientEntry(owner, EXPIRY_MS);
+    const owner = resolveOwner(req);
+    const entry = createClientEntry(owner, expiryHours ? expiryHours * 60 * 60 * 1000 : SESSION_TTL_MS, {
+      defaultRegion: defaultRegion ? defaultRegion.toUpperCase() : null,
+      puppeteerArgs,
+      webVersion,
+      pairingPhone,
+      expiryPolicy
+    });
     return res.json({
       clientId: entry.clientId,
       status: entry.status,
-      expiresAt: entry.expiresAt
+      expiresAt: entry.expiresAt,
+      expiryPolicy: entry.expiryPolicy,
+      defaultRegion: entry.defaultRegion,
+      loginMethod: pairingPhone ? 'pairing_code' : 'qr'
     });
   } catch (e) {
     console.error(e);
@@ -34,54 +105,539 @@ router.get('/clients/:id/status', (req, res) => {
     owner: entry.owner,
     status: entry.status,
     qr: entry.qrDataUrl,
+    ...pairingCodeFields(entry),
     createdAt: entry.createdAt,
     expiresAt: entry.expiresAt,
-    lastSeen: entry.lastSeen
+    expiryPolicy: entry.expiryPolicy,
+    sessionTtlMs: entry.sessionTtlMs,
+    expiryWarnedAt: entry.expiryWarnedAt,
+    defaultRegion: entry.defaultRegion,
+    webVersion: entry.clientConfig.webVersion || DEFAULT_WEB_VERSION,
+    lastSeen: entry.lastSeen,
+    statusSince: entry.statusSince,
+    health: getHealth(entry)
+  });
+});
+
+/**
+ * Multipart form fields arrive as strings; accept JSON there as well
+ */
+function parseJsonField(value) {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return value;
+  }
+}
+
+function isTrue(value) {
+  return value === true || value === 'true';
+}
+
+/**
+ * Parse an ISO date or epoch milliseconds query parameter
+ * @returns {number|null|undefined} - Epoch ms, undefined when absent, null when invalid
+ */
+function parseTimeParam(value) {
+  if (value === undefined || value === '') return undefined;
+  const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  return Number.isFinite(time) ? time : null;
+}
+
+/**
+ * Region for phone numbers in a request: `region` in the body, else the client's default.
+ * Undefined falls back to DEFAULT_REGION.
+ * @throws {Error} - code INVALID_PHONE when the given region is not supported
+ */
+function requestRegion(req) {
+  const { region } = req.body;
+  if (region !== undefined && region !== '') {
+    if (!isValidRegion(region)) {
+      const err = new Error('region must be an ISO 3166-1 alpha-2 code such as IN or GB');
+      err.code = 'INVALID_PHONE';
+      throw err;
+    }
+    return region.toUpperCase();
+  }
+  const entry = getClientEntry(req.params.id);
+  return (entry && entry.defaultRegion) || undefined;
+}
+
+/**
+ * Check expiry options of a start/extend request
+ * @returns {Object|null} - { status, error } when invalid
+ */
+function validateExpiryOptions(req, policy, hours, hoursField = 'hours') {
+  if (policy !== undefined && !EXPIRY_POLICIES.includes(policy)) {
+    return { status: 400, error: `expiryPolicy must be one of: ${EXPIRY_POLICIES.join(', ')}` };
+  }
+  if (hours !== undefined && !(typeof hours === 'number' && Number.isFinite(hours) && hours > 0)) {
+    return { status: 400, error: `${hoursField} must be a positive number` };
+  }
+  if (hours !== undefined && hours > SESSION_MAX_EXPIRY_HOURS) {
+    return { status: 400, error: `${hoursField} must be at most ${SESSION_MAX_EXPIRY_HOURS}` };
+  }
+  // Sessions that never expire hold a browser until deleted, so only admins may create them
+  if (policy === 'never' && !req.auth.isAdmin) {
+    return { status: 403, error: 'expiryPolicy "never" requires an admin API key' };
+  }
+  return null;
+}
+
+/**
+ * Pairing code for status responses; hidden once expired
+ */
+function pairingCodeFields(entry) {
+  const active = entry.pairingCode && entry.pairingCodeExpiresAt > Date.now();
+  return {
+    loginMethod: entry.clientConfig.pairingPhone ? 'pairing_code' : 'qr',
+    pairingCode: active ? entry.pairingCode : null,
+    pairingCodeExpiresAt: active ? entry.pairingCodeExpiresAt : null
+  };
+}
+
+/**
+ * Look up a template the caller may use, or send 404
+ */
+function findTemplate(req, res, templateId) {
+  const template = getTemplate(templateId);
+  if (!template || !canAccessOwner(req.auth, template.owner)) {
+    res.status(404).json({ error: 'template not found' });
+    return null;
+  }
+  return template;
+}
+
+// POST /clients/:id/pairing-code
+// Body (optional): { phone: "+447911123456", region: "GB" }
+// Issues a new pairing code, e.g. after the previous one expired. A QR client switches to
+// pairing when given a phone. Only while the client is waiting to be linked (qr / pairing_code).
+router.post('/clients/:id/pairing-code', async (req, res) => {
+  const { id } = req.params;
+  const entry = getClientEntry(id);
+  if (!['qr', 'pairing_code'].includes(entry.status)) {
+    return res.status(400).json({ error: `client is ${entry.status}; pairing codes are only available while waiting to be linked` });
+  }
+
+  let pairingPhone = entry.clientConfig.pairingPhone;
+  if (req.body && req.body.phone !== undefined) {
+    try {
+      pairingPhone = normalizePhone(req.body.phone, requestRegion(req)).digits;
+    } catch (e) {
+      return res.status(400).json({ error: e.message, code: e.code });
+    }
+  }
+  if (!pairingPhone) return res.status(400).json({ error: 'phone required' });
+
+  try {
+    await requestPairingCode(entry, pairingPhone);
+    return res.json({ clientId: id, status: entry.status, phone: `+${pairingPhone}`, ...pairingCodeFields(entry) });
+  } catch (e) {
+    console.error(`[ERROR] Failed to request pairing code for client ${id}:`, e);
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// POST /clients/:id/extend
+// Body (all optional): {
+//   hours: 2,             // added to the current expiry; without it the session is renewed to now + its lifetime
+//   expiryPolicy: "fixed" // switch policy: fixed | sliding | never (admin keys only)
+// }
+router.post('/clients/:id/extend', (req, res) => {
+  const { id } = req.params;
+  const { hours, expiryPolicy } = req.body || {};
+  const expiryError = validateExpiryOptions(req, expiryPolicy, hours);
+  if (expiryError) return res.status(expiryError.status).json({ error: expiryError.error });
+
+  const entry = extendClientExpiry(id, { ms: hours ? hours * 60 * 60 * 1000 : undefined, policy: expiryPolicy });
+  return res.json({
+    clientId: id,
+    expiresAt: entry.expiresAt,
+    expiryPolicy: entry.expiryPolicy,
+    sessionTtlMs: entry.sessionTtlMs
+  });
+});
+
+// GET /clients/:id/events
+// Server-Sent Events stream: qr, pairing_code, loading, state, status, message, message_ack, message_revoke.
+// Starts with a `snapshot` of the current status, QR and pairing code; `deleted` and `shutdown` end the stream.
+// Query params: events (comma-separated filter, optional)
+// EventSource can't send headers, so the API key may be passed as ?apiKey=
+router.get('/clients/:id/events', (req, res) => {
+  const { id } = req.params;
+  const entry = getClientEntry(id);
+  const filter = req.query.events ? String(req.query.events).split(',').map(e => e.trim()).filter(Boolean) : null;
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // disable proxy buffering (nginx)
+  });
+  res.flushHeaders();
+
+  const write = (eventId, event, payload) => {
+    res.write(`${eventId ? `id: ${eventId}\n` : ''}event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`);
+  };
+
+  res.write('retry: 3000\n\n');
+  write(null, 'snapshot', {
+    event: 'snapshot',
+    clientId: id,
+    timestamp: Date.now(),
+    data: {
+      status: entry.status,
+      statusSince: entry.statusSince,
+      qr: entry.qrDataUrl,
+      ...pairingCodeFields(entry),
+      health: getHealth(entry)
+    }
+  });
+
+  const unsubscribe = subscribeClientEvents(id, (evt) => {
+    if (evt.event === 'deleted' || evt.event === 'shutdown') {
+      write(evt.id, evt.event, evt);
+      res.end();
+      return;
+    }
+    if (!filter || filter.includes(evt.event)) write(evt.id, evt.event, evt);
+  });
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), SSE_HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
   });
 });
 
 // POST /clients/:id/send
-// Body: { phone, message, media: { filename, mime, base64 } }
-router.post('/clients/:id/send', async (req, res) => {
+// Body: { type, phone, region, message, media, sendAs, location, contact, poll, reaction,
+//         quotedMessageId, sendAt, queue, templateId, variables }
+// phone is parsed to E.164; numbers without a country code use region (or the client's default region).
+// Numbers not on WhatsApp fail with 422 (code NOT_ON_WHATSAPP).
+// type: text (default) | media (default when media is given) | location | contact | poll | reaction
+// media: { filename, mime, base64 } | "data:<mime>;base64,..." | { url, filename }
+// or send multipart/form-data with the file in a `file` field and the rest as form fields.
+// sendAs (media): auto | document | sticker | voice
+// location: { latitude, longitude, name, address, url }
+// contact: { contactId } | { vcard }
+// poll: { question, options: [...], allowMultipleAnswers }
+// reaction: { messageId, emoji } (phone not needed)
+// quotedMessageId replies to a message, for every type except reaction.
+// With templateId the message (and media, unless given) come from the stored template.
+// Messages go through the client's rate-limited send queue. Without sendAt/queue the
+// request waits up to SEND_WAIT_TIMEOUT_MS for the message to be sent (it goes ahead of
+// other queued messages); otherwise, or when the wait runs out, it returns 202 with the queue id.
+router.post('/clients/:id/send', acceptMediaUpload, async (req, res) => {
   const { id } = req.params;
-  const { phone, message } = req.body;
-  let media = req.body.media;
+  const { phone, sendAt, templateId, sendAs, quotedMessageId } = req.body;
+  const variables = parseJsonField(req.body.variables);
+  let { message } = req.body;
+
+  if (!phone && req.body.type !== 'reaction') return res.status(400).json({ error: 'phone required' });
+
+  // Numbers are stored in E.164; chat ids such as groups ("...@g.us") are used as given
+  let recipient = phone;
+  if (phone && !String(phone).includes('@')) {
+    try {
+      recipient = normalizePhone(phone, requestRegion(req)).e164;
+    } catch (e) {
+      return res.status(400).json({ error: e.message, code: e.code });
+    }
+  }
 
-  if (!phone) return res.status(400).json({ error: 'phone required' });
+  let template = null;
+  if (templateId) {
+    template = findTemplate(req, res, templateId);
+    if (!template) return;
+    try {
+      message = renderTemplateMessage(template, variables).message;
+    } catch (e) {
+      return res.status(400).json({ error: e.message, missingVariables: e.missingVariables });
+    }
+  }
+
+  const deferred = isTrue(req.body.queue) || (sendAt !== undefined && sendAt !== null && sendAt !== '');
+  const entry = getClientEntry(id);
+  if (!deferred && entry.status !== 'ready') {
+    return res.status(400).json({ error: 'client not ready', status: entry.status });
+  }
 
   try {
-    // If client passed a data url or base64 but not as object
-    if (media && typeof media === 'string' && media.startsWith('data:')) {
-      // data:<mime>;base64,<data>
-      const parts = media.split(',');
-      const meta = parts[0];
-      const base64 = parts[1];
-      const mime = meta.match(/data:(.*);base64/)[1];
-      const filename = `upload_${Date.now()}`;
-      media = { filename, mime, base64 };
+    let media;
+    try {
+      media = await resolveOutgoingMedia(parseJsonField(req.body.media), req.file);
+    } catch (mediaError) {
+      const status = mediaErrorStatus(mediaError);
+      if (!status) throw mediaError;
+      return res.status(status).json({ error: mediaError.message });
     }
+    if (!media && template && [undefined, '', 'media'].includes(req.body.type)) media = template.media;
+
+    const payload = {
+      type: resolveMessageType(req.body.type, Boolean(media)),
+      phone,
+      message,
+      media,
+      sendAs,
+      quotedMessageId,
+      location: parseJsonField(req.body.location),
+      contact: parseJsonField(req.body.contact),
+      poll: parseJsonField(req.body.poll),
+      reaction: parseJsonField(req.body.reaction)
+    };
+    const errors = validateMessagePayload(payload);
+    if (errors.length) return res.status(400).json({ error: errors.join('; '), errors });
 
-    // If media is given as base64 and filename is present, we save it for reference
-    if (media && typeof media.base64 === 'string') {
-      // optional: save file locally
-      const safeName = media.filename || `file_${Date.now()}`;
-      saveBase64ToFile(media.base64, safeName);
+    let item;
+    try {
+      item = enqueueMessage(id, { phone: recipient, message, media, content: pickMessageContent(payload), sendAt, priority: !deferred });
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
     }
 
-    const resp = await sendMessage(id, phone, message, media);
-    return res.json({ success: true, responseId: resp.id || null });
+    if (deferred) {
+      return res.status(202).json({
+        success: true,
+        queued: true,
+        messageId: item.id,
+        status: item.status,
+        sendAt: item.sendAt
+      });
+    }
+
+    const result = await waitForSend(item.id);
+    if (!['sent', 'failed', 'cancelled'].includes(result.status)) {
+      // Not sent in time (client reconnecting, shutdown); it stays queued and goes out later
+      return res.status(202).json({
+        success: true,
+        queued: true,
+        messageId: item.id,
+        status: result.status,
+        note: `not sent yet (waited up to ${SEND_WAIT_TIMEOUT_MS / 1000}s); check GET /clients/${id}/queue/${item.id}`
+      });
+    }
+    if (result.errorCode === 'NOT_ON_WHATSAPP') {
+      return res.status(422).json({ error: result.error, code: result.errorCode, messageId: item.id });
+    }
+    if (result.status !== 'sent') {
+      return res.status(500).json({ error: result.error || `message ${result.status}`, messageId: item.id });
+    }
+    return res.json({ success: true, responseId: result.responseId, messageId: item.id });
   } catch (e) {
     console.error('send error', e);
     return res.status(500).json({ error: e.message });
   }
 });
 
+// POST /clients/:id/check-numbers
+// Body: { numbers: ["+447911123456", "9876543210"], region }
+// Reports for each number whether it parses and whether it has a WhatsApp account
+router.post('/clients/:id/check-numbers', async (req, res) => {
+  const { id } = req.params;
+  const { numbers } = req.body;
+  if (!Array.isArray(numbers) || numbers.length === 0) {
+    return res.status(400).json({ error: 'numbers array required' });
+  }
+  if (numbers.length > MAX_CHECK_NUMBERS) {
+    return res.status(400).json({ error: `too many numbers (max ${MAX_CHECK_NUMBERS})` });
+  }
+
+  const entry = getClientEntry(id);
+  if (entry.status !== 'ready') {
+    return res.status(400).json({ error: 'client not ready', status: entry.status });
+  }
+
+  let region;
+  try {
+    region = requestRegion(req);
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+
+  const results = [];
+  for (const input of numbers) {
+    const result = { input, valid: false, e164: null, registered: null, whatsappId: null, error: null };
+    try {
+      result.e164 = normalizePhone(input, region).e164;
+      result.valid = true;
+      result.whatsappId = await getWhatsAppId(id, result.e164);
+      result.registered = Boolean(result.whatsappId);
+    } catch (e) {
+      result.error = e.message;
+    }
+    results.push(result);
+  }
+
+  return res.json({
+    clientId: id,
+    total: results.length,
+    registered: results.filter(r => r.registered).length,
+    notRegistered: results.filter(r => r.registered === false).length,
+    invalid: results.filter(r => !r.valid).length,
+    results
+  });
+});
+
+// GET /clients/:id/queue
+// Query params: status (queued | sending | sent | failed | cancelled, optional)
+router.get('/clients/:id/queue', (req, res) => {
+  const { id } = req.params;
+  const messages = listQueue(id, req.query.status).map(serializeQueueItem);
+  return res.json({ clientId: id, settings: getSettings(id), total: messages.length, messages });
+});
+
+// GET /clients/:id/queue/settings
+router.get('/clients/:id/queue/settings', (req, res) => {
+  return res.json(getSettings(req.params.id));
+});
+
+// PUT /clients/:id/queue/settings
+// Body: { messagesPerMinute, jitterMs }
+router.put('/clients/:id/queue/settings', (req, res) => {
+  try {
+    return res.json(updateSettings(req.params.id, req.body));
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+});
+
+// GET /clients/:id/queue/:messageId
+router.get('/clients/:id/queue/:messageId', (req, res) => {
+  const item = getQueuedMessage(req.params.id, req.params.messageId);
+  if (!item) return res.status(404).json({ error: 'queued message not found' });
+  return res.json(serializeQueueItem(item));
+});
+
+// DELETE /clients/:id/queue/:messageId
+// Cancels a message that has not been sent yet
+router.delete('/clients/:id/queue/:messageId', (req, res) => {
+  const { id, messageId } = req.params;
+  const item = getQueuedMessage(id, messageId);
+  if (!item) return res.status(404).json({ error: 'queued message not found' });
+  if (!cancelQueuedMessage(id, messageId)) {
+    return res.status(409).json({ error: `message already ${item.status}`, status: item.status });
+  }
+  return res.json({ cancelled: true, messageId });
+});
+
+// GET /clients/:id/messages
+// Outgoing messages with their delivery state, newest first
+// Query params: state (pending | sent | delivered | read | played | failed), since, until (ISO date or epoch ms), limit
+router.get('/clients/:id/messages', (req, res) => {
+  const { id } = req.params;
+  const { state } = req.query;
+  if (state && !MESSAGE_STATES.includes(state)) {
+    return res.status(400).json({ error: `state must be one of: ${MESSAGE_STATES.join(', ')}` });
+  }
+  const since = parseTimeParam(req.query.since);
+  const until = parseTimeParam(req.query.until);
+  if (since === null || until === null) {
+    return res.status(400).json({ error: 'since/until must be an ISO date or epoch milliseconds' });
+  }
+
+  const all = listMessageStatuses(id, { state, since, until });
+  const limit = Number(req.query.limit) > 0 ? Number(req.query.limit) : 100;
+  return res.json({ clientId: id, total: all.length, messages: all.slice(0, limit) });
+});
+
+// GET /clients/:id/messages/:messageId/status
+// messageId is the WhatsApp message id (responseId._serialized) or the send queue id
+router.get('/clients/:id/messages/:messageId/status', (req, res) => {
+  const record = getMessageStatus(req.params.id, req.params.messageId);
+  if (!record) {
+    // Not handed to WhatsApp yet (queued, sending or cancelled)
+    const item = getQueuedMessage(req.params.id, req.params.messageId);
+    if (item) {
+      return res.json({ id: null, queueItemId: item.id, recipient: item.phone, state: item.status });
+    }
+    return res.status(404).json({ error: 'message not found' });
+  }
+  return res.json(record);
+});
+
+// POST /clients/:id/broadcast
+// Body: {
+//   recipients: ["919876543210", { phone: "919876543211", variables: { name: "Asha" } }],
+//   message: "Hi {{name}}, your invoice is attached",
+//   media: { filename, mime, base64 } | { url, filename },
+//   sendAt,
+//   templateId
+// }
+// Multipart uploads work as for /send (recipients as a JSON string field).
+// With templateId the message comes from the stored template; every recipient's
+// variables are validated before anything is queued.
+// Messages go through the send queue; fetch the report with GET /clients/:id/broadcast/:batchId
+router.post('/clients/:id/broadcast', acceptMediaUpload, async (req, res) => {
+  const { id } = req.params;
+  const { sendAt, templateId } = req.body;
+  const recipients = parseJsonField(req.body.recipients);
+  let { message } = req.body;
+  let defaults;
+  let template = null;
+
+  if (templateId) {
+    template = findTemplate(req, res, templateId);
+    if (!template) return;
+
+    const invalid = (Array.isArray(recipients) ? recipients : [])
+      .map(r => (typeof r === 'object' && r !== null ? r : { phone: r }))
+      .map(r => ({ phone: r.phone, missingVariables: findMissingVariables(template, r.variables) }))
+      .filter(r => r.missingVariables.length > 0);
+    if (invalid.length) {
+      return res.status(400).json({ error: 'missing template variables', recipients: invalid });
+    }
+
+    message = template.body;
+    defaults = template.defaults;
+  }
+
+  try {
+    // The media is stored once and every queued message references the file
+    let media;
+    try {
+      media = await resolveOutgoingMedia(parseJsonField(req.body.media), req.file);
+    } catch (mediaError) {
+      const status = mediaErrorStatus(mediaError);
+      if (!status) throw mediaError;
+      return res.status(status).json({ error: mediaError.message });
+    }
+    if (!media && template) media = template.media;
+
+    const batch = createBroadcast(id, { recipients, message, defaults, media, sendAt, region: requestRegion(req) });
+    return res.status(202).json({
+      success: true,
+      statusUrl: `/clients/${id}/broadcast/${batch.batchId}`,
+      ...serializeBroadcast(batch, { includeRecipients: false })
+    });
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+});
+
+// GET /clients/:id/broadcasts
+router.get('/clients/:id/broadcasts', (req, res) => {
+  const { id } = req.params;
+  const broadcasts = listBroadcasts(id).map(b => serializeBroadcast(b, { includeRecipients: false }));
+  return res.json({ clientId: id, total: broadcasts.length, broadcasts });
+});
+
+// GET /clients/:id/broadcast/:batchId
+// Per-recipient results: queued, sent, invalid_number, not_on_whatsapp, failed, cancelled
+router.get('/clients/:id/broadcast/:batchId', (req, res) => {
+  const batch = getBroadcast(req.params.id, req.params.batchId);
+  if (!batch) return res.status(404).json({ error: 'broadcast not found' });
+  return res.json(serializeBroadcast(batch));
+});
+
 // POST /clients/:id/stop
 router.post('/clients/:id/stop', async (req, res) => {
   const { id } = req.params;
   try {
     const ok = await stopClient(id);
     if (!ok) return res.status(404).json({ error: 'client not found' });
+    cancelClientQueue(id);
     return res.json({ stopped: true });
   } catch (e) {
     console.error(e);
@@ -95,6 +651,9 @@ router.delete('/clients/:id', async (req, res) => {
   try {
     const ok = await deleteClient(id);
     if (!ok) return res.status(404).json({ error: 'client not found' });
+    // Batches first, so cancelling their messages doesn't update them one by one
+    removeClientBroadcasts(id);
+    cancelClientQueue(id);
     return res.json({ deleted: true, clientId: id });
   } catch (e) {
     console.error('Delete client error:', e);
@@ -102,14 +661,144 @@ router.delete('/clients/:id', async (req, res) => {
   }
 });
 
+// POST /clients/:id/webhooks
+// Body: { url, events: ["message", "message_ack", "message_revoke", "status"], secret }
+router.post('/clients/:id/webhooks', async (req, res) => {
+  const { id } = req.params;
+  const { url, events, secret } = req.body;
+
+  if (!url) return res.status(400).json({ error: 'url required' });
+  if (events !== undefined && !Array.isArray(events)) {
+    return res.status(400).json({ error: 'events must be an array' });
+  }
+
+  try {
+    const webhook = await registerWebhook(id, { url, events, secret });
+    return res.status(201).json({
+      ...webhook,
+      note: 'Deliveries are signed with HMAC-SHA256 of the raw body in the X-Webhook-Signature header'
+    });
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+});
+
+// GET /clients/:id/webhooks
+router.get('/clients/:id/webhooks', (req, res) => {
+  return res.json({ clientId: req.params.id, webhooks: listWebhooks(req.params.id) });
+});
+
+// GET /clients/:id/webhooks/dead-letters
+router.get('/clients/:id/webhooks/dead-letters', (req, res) => {
+  const deadLetters = listDeadLetters(req.params.id);
+  return res.json({ clientId: req.params.id, total: deadLetters.length, deadLetters });
+});
+
+// POST /clients/:id/webhooks/dead-letters/replay
+// Body: { ids: ["delivery-id"] } (optional, replays all when omitted)
+router.post('/clients/:id/webhooks/dead-letters/replay', (req, res) => {
+  const { ids } = req.body;
+  if (ids !== undefined && !Array.isArray(ids)) {
+    return res.status(400).json({ error: 'ids must be an array' });
+  }
+  return res.json(replayDeadLetters(req.params.id, ids));
+});
+
+// DELETE /clients/:id/webhooks/:webhookId
+router.delete('/clients/:id/webhooks/:webhookId', (req, res) => {
+  const { id, webhookId } = req.params;
+  const ok = deleteWebhook(id, webhookId);
+  if (!ok) return res.status(404).json({ error: 'webhook not found' });
+  return res.json({ deleted: true, webhookId });
+});
+
 // GET /clients (list)
+// Admin keys see every client; other keys only see their own
 router.get('/clients', (req, res) => {
-  return res.json(listClients());
+  const clients = listClients().filter(c => canAccessOwner(req.auth, c.owner));
+  return res.json(clients);
+});
+
+// GET /templates
+router.get('/templates', (req, res) => {
+  const templates = listTemplates()
+    .filter(t => canAccessOwner(req.auth, t.owner))
+    .map(serializeTemplate);
+  return res.json({ total: templates.length, templates });
+});
+
+// POST /templates
+// Body: { name, body: "Hi {{name}}, invoice {{invoice}} is due", defaults: { name: "there" }, media: { filename, mime, base64 } | "data:<mime>;base64,..." }
+router.post('/templates', (req, res) => {
+  try {
+    const template = createTemplate(resolveOwner(req), { ...req.body, media: parseDataUrlMedia(req.body.media) });
+    return res.status(201).json(serializeTemplate(template));
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+});
+
+// GET /templates/:templateId
+router.get('/templates/:templateId', (req, res) => {
+  const template = findTemplate(req, res, req.params.templateId);
+  if (!template) return;
+  return res.json(serializeTemplate(template));
+});
+
+// PUT /templates/:templateId
+// Body: any of { name, body, defaults, media } (media: null removes it)
+router.put('/templates/:templateId', (req, res) => {
+  const template = findTemplate(req, res, req.params.templateId);
+  if (!template) return;
+  try {
+    const updated = updateTemplate(template.id, { ...req.body, media: parseDataUrlMedia(req.body.media) });
+    return res.json(serializeTemplate(updated));
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+});
+
+// DELETE /templates/:templateId
+router.delete('/templates/:templateId', (req, res) => {
+  const template = findTemplate(req, res, req.params.templateId);
+  if (!template) return;
+  deleteTemplate(template.id);
+  return res.json({ deleted: true, templateId: template.id });
+});
+
+// POST /api-keys (admin)
+// Body: { owner, name, role: "user" | "admin" }
+router.post('/api-keys', requireAdmin, (req, res) => {
+  try {
+    const { owner, name, role } = req.body;
+    const key = createApiKey({ owner, name, role });
+    return res.status(201).json({
+      ...key,
+      note: 'Store this key now, it cannot be retrieved again'
+    });
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+});
+
+// GET /api-keys (admin)
+router.get('/api-keys', requireAdmin, (req, res) => {
+  return res.json(listApiKeys());
+});
+
+// DELETE /api-keys/:keyId (admin)
+router.delete('/api-keys/:keyId', requireAdmin, (req, res) => {
+  const ok = revokeApiKey(req.params.keyId);
+  if (!ok) return res.status(404).json({ error: 'API key not found' });
+  return res.json({ revoked: true, keyId: req.params.keyId });
 });
 
 // Serve downloads/media (legacy endpoint - kept for backward compatibility)
+// Export archives are only served by /downloads with a signed link
 router.get('/media/:filename', (req, res) => {
-  const filePath = path.join(DOWNLOADS_DIR, req.params.filename);
+  const filename = path.basename(req.params.filename);
+  if (/\.zip(\.enc)?(\.partial)?$/.test(filename)) return res.status(404).send('Not found');
+  const filePath = path.join(DOWNLOADS_DIR, filename);
   if (fs.existsSync(filePath)) {
     return res.sendFile(filePath);
   } else {
@@ -118,25 +807,34 @@ router.get('/media/:filename', (req, res) => {
 });
 
 // Secure download endpoint with network accessibility
+// Query params: token (required) - from a signed download link (job result or POST /exports/:exportId/download-link)
 router.get('/downloads/:filename', (req, res) => {
   try {
     const filename = req.params.filename;
     const clientIP = req.ip || req.connection.remoteAddress;
     
-    console.log(`[DOWNLOAD] IP: ${clientIP}, File: ${filename}, Time: ${new Date().toISOString()}`);
-    
     // Security: Prevent directory traversal attacks
     const sanitizedFilename = path.basename(filename);
     
-    // Security: Only allow .zip files
-    if (!sanitizedFilename.endsWith('.zip')) {
+    // Security: Only allow export archives (.zip, or .zip.enc when encrypted)
+    const encrypted = sanitizedFilename.endsWith(`.zip${ENCRYPTED_EXTENSION}`);
+    if (!sanitizedFilename.endsWith('.zip') && !encrypted) {
       console.log(`[DOWNLOAD ERROR] Invalid file type requested: ${sanitizedFilename}`);
       return res.status(400).json({
         success: false,
-        error: 'Invalid file type. Only ZIP files are allowed.'
+        error: 'Invalid file type. Only export ZIP files (.zip, .zip.enc) are allowed.'
       });
     }
     
+    // Security: Only signed, unexpired links with downloads left
+    // (counted further down, once the file is known to be servable)
+    try {
+      checkDownloadToken(req.query.token, getExportRecord, sanitizedFilename);
+    } catch (e) {
+      console.log(`[DOWNLOAD REJECTED] File: ${sanitizedFilename}, IP: ${clientIP}, Reason: ${e.message}`);
+      return res.status(e.status || 403).json({ success: false, error: e.message, code: e.code });
+    }
+    
     // Construct file path
     const filePath = path.join(DOWNLOADS_DIR, sanitizedFilename);
     
@@ -162,12 +860,19 @@ router.get('/downloads/:filename', (req, res) => {
     }
     
     // Set proper headers for download
-    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Type', encrypted ? 'application/octet-stream' : 'application/zip');
     res.setHeader('Content-Disposition', `attachment; filename="${sanitizedFilename}"`);
     res.setHeader('Content-Length', stats.size);
     res.setHeader('Access-Control-Allow-Origin', '*'); // CORS for cross-origin downloads
     res.setHeader('Access-Control-Expose-Headers', 'Content-Disposition');
     
+    // HEAD only checks the link, it doesn't use up a download
+    if (req.method === 'HEAD') return res.end();
+    
+    const tokenState = redeemDownloadToken(req.query.token, getExportRecord, sanitizedFilename, clientIP);
+    const tokenLabel = `token ${tokenState.tokenId} (download ${tokenState.downloads}${tokenState.maxDownloads ? `/${tokenState.maxDownloads}` : ''})`;
+    console.log(`[DOWNLOAD] ${tokenLabel}, Export: ${tokenState.exportId}, File: ${sanitizedFilename}, IP: ${clientIP}, Time: ${new Date().toISOString()}`);
+    
     // Stream the file
     const fileStream = fs.createReadStream(filePath);
     
@@ -182,7 +887,7 @@ router.get('/downloads/:filename', (req, res) => {
     });
     
     fileStream.on('end', () => {
-      console.log(`[DOWNLOAD SUCCESS] File: ${sanitizedFilename}, Size: ${(stats.size / (1024 * 1024)).toFixed(2)}MB, Client: ${clientIP}`);
+      console.log(`[DOWNLOAD SUCCESS] ${tokenLabel}, File: ${sanitizedFilename}, Size: ${(stats.size / (1024 * 1024)).toFixed(2)}MB, Client: ${clientIP}`);
     });
     
     // Pipe the file to response
@@ -254,69 +959,284 @@ router.get('/clients/:id/chats-with-received-attachments', async (req, res) => {
   }
 });
 
-// POST /clients/:id/export-chats
-// Body: { chatIds: ["123@c.us", "456@c.us"] }
-router.post('/clients/:id/export-chats', async (req, res) => {
+/**
+ * Validate an export request and start it as a background job
+ */
+function startExportJob(req, res, { type, exportFn, note, presetFilters = {} }) {
   const { id } = req.params;
-  const { chatIds } = req.body;
+  const { chatIds, mode = 'full' } = req.body;
   
   if (!chatIds || !Array.isArray(chatIds) || chatIds.length === 0) {
     return res.status(400).json({ error: 'chatIds array required' });
   }
-  
+  if (!EXPORT_MODES.includes(mode)) {
+    return res.status(400).json({ error: `mode must be one of: ${EXPORT_MODES.join(', ')}` });
+  }
+
+  let formats;
+  let filters;
+  let encryption;
+  let retentionHours;
   try {
-    const entry = getClientEntry(id);
-    if (!entry) return res.status(404).json({ error: 'client not found' });
-    if (entry.status !== 'ready') {
-      return res.status(400).json({ error: 'client not ready', status: entry.status });
+    formats = parseExportFormats(req.body.format);
+    filters = parseExportFilters(req.body);
+    encryption = parseEncryptionOptions(req.body);
+    retentionHours = parseRetentionHours(req.body.retentionHours);
+  } catch (e) {
+    return res.status(400).json({ error: e.message, code: e.code });
+  }
+  for (const [field, value] of Object.entries(presetFilters)) {
+    if (filters[field] !== null && filters[field] !== value) {
+      return res.status(400).json({ error: `${field} cannot be ${filters[field]} on this route`, code: 'INVALID_FILTER' });
     }
-    
-    console.log(`[DEBUG] Starting export for ${chatIds.length} chats`);
-    const result = await fetchMessagesForChat(id, chatIds);
-    
-    return res.json({
-      success: true,
-      exportedChats: result.exportedChats,
-      downloadUrl: result.downloadUrl,
-      zipFilename: result.zipFilename
-    });
+    filters[field] = value;
+  }
+  
+  const entry = getClientEntry(id);
+  if (!entry) return res.status(404).json({ error: 'client not found' });
+  if (entry.status !== 'ready') {
+    return res.status(400).json({ error: 'client not ready', status: entry.status });
+  }
+  
+  const uniqueChatIds = [...new Set(chatIds)];
+  // Built before the job exists, so nothing is queued if it fails
+  const filterDescription = describeExportFilters(filters);
+  const job = createJob({
+    type,
+    clientId: id,
+    owner: entry.owner,
+    chatIds: uniqueChatIds,
+    task: async (tracker) => {
+      const result = await exportFn(id, uniqueChatIds, tracker, { formats, filters, mode, encryption, retentionHours });
+      const link = issueDownloadLink(getExportRecord(result.exportId), { issuedBy: req.auth.keyId });
+      return {
+        exportId: result.exportId,
+        exportedChats: result.exportedChats,
+        mode: result.mode,
+        formats: result.formats,
+        filters: result.filters,
+        encrypted: result.encrypted,
+        manifestSha256: result.manifestSha256,
+        exportExpiresAt: result.expiresAt,
+        downloadUrl: link.url,
+        downloadExpiresAt: link.expiresAt,
+        maxDownloads: link.maxDownloads,
+        zipFilename: result.zipFilename
+      };
+    }
+  });
+  
+  console.log(`[DEBUG] Queued ${type} job ${job.jobId} for ${uniqueChatIds.length} chats`);
+  return res.status(202).json({
+    success: true,
+    jobId: job.jobId,
+    status: job.status,
+    statusUrl: `/jobs/${job.jobId}`,
+    mode,
+    formats,
+    filters: filterDescription,
+    encrypted: Boolean(encryption),
+    // A generated password is only ever returned here; it is not stored
+    ...(encryption && encryption.generated ? { password: encryption.password } : {}),
+    ...(note ? { note } : {})
+  });
+}
+
+// POST /clients/:id/export-chats
+// Body: { chatIds: ["123@c.us", "456@c.us"], mode: "incremental", format: "txt,html", since, until, types, fromMe, mediaOnly, maxMessages }
+// mode (optional): full (default) or incremental - only messages newer than each chat's export cursor
+// for this endpoint and filter set, which then moves to the last exported message
+// encrypt / password (optional): encrypt the archive; without password one is generated and returned once
+// retentionHours (optional): keep the export this long instead of EXPORT_RETENTION_HOURS
+// format (optional): txt, html, csv, json, or several as an array / comma list; default txt + json
+// Filters (optional): since/until (ISO or epoch ms), types (["image", "document"]), fromMe (true = sent only,
+// false = received only), mediaOnly, maxMessages (most recent N matching messages; oldest N in incremental mode)
+// Returns a jobId immediately; poll GET /jobs/:jobId for progress and the download URL
+router.post('/clients/:id/export-chats', (req, res) => {
+  return startExportJob(req, res, {
+    type: 'export-chats',
+    exportFn: fetchMessagesForChat
+  });
+});
+
+// POST /clients/:id/export-received-messages
+// Body: { chatIds: ["123@c.us", "456@c.us"], mode, format: ["csv"], ...filters as above }
+// Exports ONLY received messages (not sent by us) with their media, as a job
+router.post('/clients/:id/export-received-messages', (req, res) => {
+  return startExportJob(req, res, {
+    type: 'export-received-messages',
+    exportFn: fetchReceivedMessagesOnly,
+    presetFilters: { fromMe: false },
+    note: 'Only received messages (not sent by you) are included in this export'
+  });
+});
+
+// GET /clients/:id/export-cursors
+// Last exported message per chat and scope (endpoint + filters), used by incremental exports
+router.get('/clients/:id/export-cursors', (req, res) => {
+  const cursors = listExportCursors(req.params.id);
+  return res.json({ clientId: req.params.id, total: cursors.length, cursors });
+});
+
+// DELETE /clients/:id/export-cursors
+// Resets every chat: the next incremental export includes all messages again
+router.delete('/clients/:id/export-cursors', (req, res) => {
+  const removed = resetExportCursors(req.params.id);
+  return res.json({ reset: true, clientId: req.params.id, removed });
+});
+
+// DELETE /clients/:id/export-cursors/:chatId
+router.delete('/clients/:id/export-cursors/:chatId', (req, res) => {
+  const { id, chatId } = req.params;
+  if (!resetExportCursors(id, chatId)) return res.status(404).json({ error: 'export cursor not found' });
+  return res.json({ reset: true, clientId: id, chatId });
+});
+
+/**
+ * Look up a job the caller may access, or send 404
+ */
+function findJob(req, res) {
+  const job = getJob(req.params.jobId);
+  if (!job || !canAccessOwner(req.auth, job.owner)) {
+    res.status(404).json({ error: 'job not found' });
+    return null;
+  }
+  return job;
+}
+
+// GET /jobs
+// Query params: clientId, status (optional)
+router.get('/jobs', (req, res) => {
+  const { clientId, status } = req.query;
+  const jobs = listJobs()
+    .filter(job => canAccessOwner(req.auth, job.owner))
+    .filter(job => !clientId || job.clientId === clientId)
+    .filter(job => !status || job.status === status)
+    .map(serializeJob);
+  return res.json({ total: jobs.length, jobs });
+});
+
+// GET /jobs/:jobId
+router.get('/jobs/:jobId', (req, res) => {
+  const job = findJob(req, res);
+  if (!job) return;
+  return res.json(serializeJob(job));
+});
+
+// DELETE /jobs/:jobId
+// Cancels a queued or running job; partial export files are removed
+router.delete('/jobs/:jobId', (req, res) => {
+  const job = findJob(req, res);
+  if (!job) return;
+  if (!cancelJob(job.jobId)) {
+    return res.status(409).json({ error: `job already ${job.status}`, status: job.status });
+  }
+  return res.json({ cancelled: true, jobId: job.jobId, status: job.status });
+});
+
+/**
+ * Look up an export the caller may access, or send 404
+ */
+function findExport(req, res) {
+  const record = getExportRecord(req.params.exportId);
+  if (!record || !canAccessOwner(req.auth, record.owner)) {
+    res.status(404).json({ error: 'export not found' });
+    return null;
+  }
+  return record;
+}
+
+// GET /exports
+// Query params: clientId, owner (optional)
+// Exports that have not been cleaned up yet, newest first
+router.get('/exports', (req, res) => {
+  const { clientId, owner } = req.query;
+  const exports = listExportRecords()
+    .filter(record => canAccessOwner(req.auth, record.owner))
+    .filter(record => !clientId || record.clientId === clientId)
+    .filter(record => !owner || record.owner === owner)
+    .map(serializeExportRecord);
+  return res.json({ total: exports.length, exports });
+});
+
+// POST /exports/cleanup (admin)
+// Runs the hourly retention cleanup now
+router.post('/exports/cleanup', requireAdmin, async (req, res) => {
+  const result = await cleanupExpiredExports();
+  return res.status(result.success ? 200 : 500).json(result);
+});
+
+// GET /exports/:exportId
+// Export details with the download links that can still be used
+router.get('/exports/:exportId', (req, res) => {
+  const record = findExport(req, res);
+  if (!record) return;
+  return res.json({ ...serializeExportRecord(record), downloadLinks: listDownloadTokens(record.exportId) });
+});
+
+// PUT /exports/:exportId/retention
+// Body: { retentionHours: 168 }  (hours from creation; null = EXPORT_RETENTION_HOURS)
+router.put('/exports/:exportId/retention', (req, res) => {
+  const record = findExport(req, res);
+  if (!record) return;
+  let retentionHours;
+  try {
+    retentionHours = parseRetentionHours(req.body.retentionHours);
   } catch (e) {
-    console.error('[ERROR] Export chats error:', e);
+    return res.status(400).json({ error: e.message, code: e.code });
+  }
+  return res.json(serializeExportRecord(setExportRetention(record.exportId, retentionHours)));
+});
+
+// DELETE /exports/:exportId
+// Deletes the archive now; its download links stop working
+router.delete('/exports/:exportId', (req, res) => {
+  const record = findExport(req, res);
+  if (!record) return;
+  try {
+    deleteExport(record.exportId);
+  } catch (e) {
+    console.error(`[ERROR] Failed to delete export ${record.exportId}:`, e);
     return res.status(500).json({ error: e.message });
   }
+  const linksRevoked = revokeDownloadTokens(record.exportId);
+  console.log(`[INFO] Deleted export ${record.exportId} (${linksRevoked} download link(s) revoked)`);
+  return res.json({ deleted: true, exportId: record.exportId, linksRevoked });
 });
 
-// POST /clients/:id/export-received-messages
-// Body: { chatIds: ["123@c.us", "456@c.us"] }
-// Exports ONLY received messages (not sent by us) with their media
-router.post('/clients/:id/export-received-messages', async (req, res) => {
-  const { id } = req.params;
-  const { chatIds } = req.body;
-  
-  if (!chatIds || !Array.isArray(chatIds) || chatIds.length === 0) {
-    return res.status(400).json({ error: 'chatIds array required' });
+// POST /exports/:exportId/download-link
+// Body (all optional): { expiresInMinutes: 60, maxDownloads: 1 }  (maxDownloads 0 = unlimited)
+// Issues a new signed link, e.g. a single-use link to hand to someone else
+router.post('/exports/:exportId/download-link', (req, res) => {
+  const record = findExport(req, res);
+  if (!record) return;
+  let options;
+  try {
+    options = parseLinkOptions(req.body);
+  } catch (e) {
+    return res.status(400).json({ error: e.message, code: e.code });
   }
-  
+  const link = issueDownloadLink(record, { ...options, issuedBy: req.auth.keyId });
+  return res.status(201).json({ exportId: record.exportId, ...link });
+});
+
+// POST /exports/verify
+// Multipart: file (the export ZIP), manifestSha256 (optional, from the export job's result)
+// Checks every file against the SHA-256 checksums in the ZIP's manifest.json, and the manifest
+// against the checksum recorded for its export (or the one given)
+router.post('/exports/verify', acceptExportUpload, async (req, res) => {
+  if (!req.file) return res.status(400).json({ error: 'file required (multipart field "file")' });
   try {
-    const entry = getClientEntry(id);
-    if (!entry) return res.status(404).json({ error: 'client not found' });
-    if (entry.status !== 'ready') {
-      return res.status(400).json({ error: 'client not ready', status: entry.status });
-    }
-    
-    console.log(`[DEBUG] Starting export of RECEIVED messages only for ${chatIds.length} chats`);
-    const result = await fetchReceivedMessagesOnly(id, chatIds);
-    
-    return res.json({
-      success: true,
-      exportedChats: result.exportedChats,
-      downloadUrl: result.downloadUrl,
-      zipFilename: result.zipFilename,
-      note: 'Only received messages (not sent by you) are included in this export'
-    });
+    const result = await verifyExportArchive(req.file.path, { manifestSha256: req.body.manifestSha256 });
+    const outcome = result.valid === null ? 'unanchored' : (result.valid ? 'valid' : 'INVALID');
+    console.log(`[VERIFY] ${req.file.originalname}: ${outcome} (${result.filesChecked} files)`);
+    return res.json(result);
   } catch (e) {
-    console.error('[ERROR] Export received messages error:', e);
+    if (e.code === 'INVALID_EXPORT') return res.status(400).json({ error: e.message, code: e.code });
+    console.error('[ERROR] Export verification error:', e);
     return res.status(500).json({ error: e.message });
+  } finally {
+    removeUpload(req.file);
   }
 });
 
@@ -0,0 +1,482 @@
+// Persistent outbound message queue. Each client drains its queue at a configurable
+// rate (messages per minute plus random jitter); items may be scheduled via sendAt.
+const path = require('path');
+const fs = require('fs');
+const cron = require('node-cron');
+const { v4: uuidv4 } = require('uuid');
+const { getClientEntry, sendMessage, getWhatsAppId } = require('./clientsRegistry');
+const { recordOutgoingMessage } = require('./messageStatus');
+
+const DATA_DIR = path.resolve(process.cwd(), 'data');
+const QUEUE_FILE = path.join(DATA_DIR, 'send-queue.json'); // Lives next to clients-registry.json
+
+const DEFAULT_RATE_PER_MINUTE = Number(process.env.SEND_RATE_PER_MINUTE || 20);
+const DEFAULT_JITTER_MS = Number(process.env.SEND_JITTER_MS || 3000);
+const QUEUE_RETENTION_HOURS = Number(process.env.SEND_QUEUE_RETENTION_HOURS || 48);
+// How long a synchronous send waits for its message before answering with the queue id
+const SEND_WAIT_TIMEOUT_MS = Number(process.env.SEND_WAIT_TIMEOUT_MS || 30000);
+
+if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
+
+/*
+  items: [{
+    id, clientId, batchId, phone, message, media, content, sendAt, verifyRecipient, priority, status,
+    attempts, createdAt, updatedAt, sentAt, responseId, error, errorCode
+  }]
+  priority: sent before other due items of the client (synchronous sends, someone is waiting)
+  status: queued -> sending -> sent | failed, or queued -> cancelled
+  settings: clientId -> { messagesPerMinute, jitterMs }
+*/
+let items = [];
+let settings = {};
+
+const nextSendAt = new Map(); // clientId -> earliest time the next message may go out
+const sending = new Set(); // clientIds with a send in flight
+const waiters = new Map(); // itemId -> [{ resolve, timer }]
+const settledListeners = [];
+
+let worker = null;
+
+const FINISHED_STATUSES = ['sent', 'failed', 'cancelled'];
+
+// Changes are written together at most this often instead of rewriting the file for each one
+const SAVE_DELAY_MS = 1000;
+let saveTimer = null;
+
+function flushQueue() {
+  if (saveTimer) {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+  }
+  try {
+    fs.writeFileSync(QUEUE_FILE, JSON.stringify({ items, settings }, null, 2));
+  } catch (error) {
+    console.error('[ERROR] Failed to save send queue:', error);
+  }
+}
+
+function saveQueue() {
+  if (saveTimer) return;
+  saveTimer = setTimeout(flushQueue, SAVE_DELAY_MS);
+  saveTimer.unref();
+}
+
+// Pending changes must not be lost when the process exits before the timer fires
+process.on('exit', () => {
+  if (saveTimer) flushQueue();
+});
+
+function loadQueue() {
+  try {
+    if (fs.existsSync(QUEUE_FILE)) {
+      const data = JSON.parse(fs.readFileSync(QUEUE_FILE, 'utf8'));
+      items = data.items || [];
+      settings = data.settings || {};
+
+      // A send interrupted by a restart may or may not have gone out; don't risk a duplicate
+      for (const item of items) {
+        if (item.status === 'sending') {
+          item.status = 'failed';
+          item.error = 'interrupted by server restart';
+          item.updatedAt = Date.now();
+        }
+      }
+      console.log(`[INFO] Loaded send queue with ${items.filter(i => i.status === 'queued').length} pending messages`);
+    }
+  } catch (error) {
+    console.error('[ERROR] Failed to load send queue:', error);
+  }
+}
+
+loadQueue();
+
+function getSettings(clientId) {
+  return {
+    messagesPerMinute: DEFAULT_RATE_PER_MINUTE,
+    jitterMs: DEFAULT_JITTER_MS,
+    ...settings[clientId]
+  };
+}
+
+/**
+ * Update the rate limit of a client's queue
+ * @param {string} clientId - Client ID
+ * @param {Object} patch - { messagesPerMinute, jitterMs }
+ */
+function updateSettings(clientId, { messagesPerMinute, jitterMs }) {
+  const next = { ...settings[clientId] };
+  if (messagesPerMinute !== undefined) {
+    const rate = Number(messagesPerMinute);
+    if (!Number.isFinite(rate) || rate <= 0) throw new Error('messagesPerMinute must be a positive number');
+    next.messagesPerMinute = rate;
+  }
+  if (jitterMs !== undefined) {
+    const jitter = Number(jitterMs);
+    if (!Number.isFinite(jitter) || jitter < 0) throw new Error('jitterMs must be a non-negative number');
+    next.jitterMs = jitter;
+  }
+  settings[clientId] = next;
+  saveQueue();
+  return getSettings(clientId);
+}
+
+/**
+ * Parse a sendAt value (ISO string or epoch milliseconds)
+ * @returns {number|null} - Epoch milliseconds, or null when not given
+ */
+function parseSendAt(sendAt) {
+  if (sendAt === undefined || sendAt === null || sendAt === '') return null;
+  // Digit strings are epoch ms too: form fields always arrive as strings
+  const time = typeof sendAt === 'number' || /^\d+$/.test(sendAt) ? Number(sendAt) : Date.parse(sendAt);
+  if (!Number.isFinite(time)) throw new Error('sendAt must be an ISO date or epoch milliseconds');
+  return time;
+}
+
+/**
+ * Add a message to a client's queue
+ * @param {string} clientId - Client ID
+ * @param {Object} params - { phone, message, media, content, sendAt, batchId, verifyRecipient, priority }
+ *   content holds the type-specific fields (see messageTypes.js)
+ *   verifyRecipient (default true) checks the number is on WhatsApp before sending
+ *   priority puts the message ahead of the client's other due messages
+ * @returns {Object} - The queued item
+ */
+function enqueueMessage(clientId, params) {
+  return enqueueMessages(clientId, [params])[0];
+}
+
+/**
+ * Add several messages to a client's queue at once (broadcasts)
+ * @param {string} clientId - Client ID
+ * @param {Array<Object>} list - Params as for enqueueMessage()
+ * @returns {Array<Object>} - The queued items, in order; nothing is queued if one is invalid
+ */
+function enqueueMessages(clientId, list) {
+  const queued = list.map(params => buildQueueItem(clientId, params));
+  if (!queued.length) return queued;
+  items.push(...queued);
+  saveQueue();
+  return queued;
+}
+
+function buildQueueItem(clientId, { phone, message, media, content, sendAt, batchId, verifyRecipient, priority }) {
+  const now = Date.now();
+  return {
+    id: uuidv4(),
+    clientId,
+    batchId: batchId || null,
+    phone,
+    message: message || '',
+    media: media || null,
+    content: content || null,
+    sendAt: parseSendAt(sendAt),
+    verifyRecipient: verifyRecipient !== false,
+    priority: Boolean(priority),
+    status: 'queued',
+    attempts: 0,
+    createdAt: now,
+    updatedAt: now,
+    sentAt: null,
+    responseId: null,
+    error: null,
+    errorCode: null
+  };
+}
+
+function getQueuedMessage(clientId, itemId) {
+  return items.find(i => i.id === itemId && i.clientId === clientId);
+}
+
+function listQueue(clientId, status) {
+  return items.filter(i => i.clientId === clientId && (!status || i.status === status));
+}
+
+function cancelQueuedMessage(clientId, itemId) {
+  const item = getQueuedMessage(clientId, itemId);
+  if (!item || item.status !== 'queued') return false;
+  item.status = 'cancelled';
+  item.updatedAt = Date.now();
+  saveQueue();
+  settle(item);
+  return true;
+}
+
+/**
+ * Cancel everything still pending for a client (used when the client is deleted)
+ */
+function cancelClientQueue(clientId) {
+  let count = 0;
+  for (const item of items) {
+    if (item.clientId === clientId && item.status === 'queued') {
+      item.status = 'cancelled';
+      item.error = 'client deleted';
+      item.updatedAt = Date.now();
+      settle(item);
+      count++;
+    }
+  }
+  if (count) saveQueue();
+  return count;
+}
+
+/**
+ * Fail everything still queued for a client that will not come back (supervisor gave up)
+ */
+function failClientQueue(clientId, reason) {
+  let count = 0;
+  for (const item of items) {
+    if (item.clientId === clientId && item.status === 'queued') {
+      item.status = 'failed';
+      item.error = reason;
+      item.errorCode = 'CLIENT_FAILED';
+      item.updatedAt = Date.now();
+      settle(item);
+      count++;
+    }
+  }
+  if (count) {
+    saveQueue();
+    console.warn(`[QUEUE] Failed ${count} queued message(s) of client ${clientId}: ${reason}`);
+  }
+  return count;
+}
+
+/**
+ * Resolves once the item is sent, failed or cancelled, or after SEND_WAIT_TIMEOUT_MS
+ * (or on shutdown) with the item still queued or sending
+ */
+function waitForSend(itemId, timeoutMs = SEND_WAIT_TIMEOUT_MS) {
+  const item = items.find(i => i.id === itemId);
+  if (!item || FINISHED_STATUSES.includes(item.status)) return Promise.resolve(item);
+  return new Promise((resolve) => {
+    const waiter = { resolve };
+    waiter.timer = setTimeout(() => {
+      const list = (waiters.get(itemId) || []).filter(w => w !== waiter);
+      if (list.length) waiters.set(itemId, list);
+      else waiters.delete(itemId);
+      resolve(item);
+    }, timeoutMs);
+    const list = waiters.get(itemId) || [];
+    list.push(waiter);
+    waiters.set(itemId, list);
+  });
+}
+
+/**
+ * Answer every pending waitForSend() with the item as it is now
+ */
+function releaseWaiters() {
+  for (const [itemId, list] of waiters) {
+    const item = items.find(i => i.id === itemId);
+    for (const { resolve, timer } of list) {
+      clearTimeout(timer);
+      resolve(item);
+    }
+  }
+  waiters.clear();
+}
+
+/**
+ * Register a callback invoked with every item that is sent, failed or cancelled
+ */
+function onSettled(listener) {
+  settledListeners.push(listener);
+}
+
+function settle(item) {
+  for (const listener of settledListeners) {
+    try {
+      listener(item);
+    } catch (error) {
+      console.error('[QUEUE] Settled listener error:', error);
+    }
+  }
+
+  const list = waiters.get(item.id);
+  if (!list) return;
+  waiters.delete(item.id);
+  for (const { resolve, timer } of list) {
+    clearTimeout(timer);
+    resolve(item);
+  }
+}
+
+/**
+ * Public view of a queue item; media content is left out
+ */
+function serializeQueueItem(item) {
+  const { media, ...rest } = item;
+  return {
+    ...rest,
+    media: media ? { filename: media.filename || null, mime: media.mime || null } : null
+  };
+}
+
+/**
+ * Files referenced by messages that have not been sent yet
+ */
+function getPendingMediaPaths() {
+  const paths = new Set();
+  for (const item of items) {
+    if ((item.status === 'queued' || item.status === 'sending') && item.media && item.media.filePath) {
+      paths.add(item.media.filePath);
+    }
+  }
+  return paths;
+}
+
+function pruneFinishedItems() {
+  const cutoff = Date.now() - QUEUE_RETENTION_HOURS * 60 * 60 * 1000;
+  const before = items.length;
+  items = items.filter(i => !FINISHED_STATUSES.includes(i.status) || i.updatedAt >= cutoff);
+  if (items.length !== before) saveQueue();
+}
+
+/**
+ * Oldest due item of a client, priority items first
+ */
+function nextDueItem(clientId, now) {
+  let next = null;
+  for (const item of items) {
+    if (item.clientId !== clientId || item.status !== 'queued') continue;
+    if (item.sendAt && item.sendAt > now) continue;
+    if (next && next.priority && !item.priority) continue;
+    const due = item.sendAt || item.createdAt;
+    if (!next || (item.priority && !next.priority) || due < (next.sendAt || next.createdAt)) next = item;
+  }
+  return next;
+}
+
+function recordStatus(item, messageId, error) {
+  try {
+    recordOutgoingMessage({
+      clientId: item.clientId,
+      messageId,
+      queueItemId: item.id,
+      recipient: item.phone,
+      payload: { message: item.message, media: item.media, content: item.content },
+      error
+    });
+  } catch (recordError) {
+    console.error(`[QUEUE] Failed to record status of message ${item.id}:`, recordError.message);
+  }
+}
+
+async function sendQueuedItem(item) {
+  const { messagesPerMinute, jitterMs } = getSettings(item.clientId);
+  sending.add(item.clientId);
+  item.status = 'sending';
+  item.attempts++;
+  item.updatedAt = Date.now();
+  // Written right away: after a restart, a 'sending' item is failed rather than sent twice
+  flushQueue();
+
+  try {
+    // Send to the id WhatsApp resolves the number to, which can differ from the dialled digits
+    let recipient = item.phone;
+    if (item.verifyRecipient && item.phone) {
+      recipient = await getWhatsAppId(item.clientId, item.phone);
+      if (!recipient) {
+        const err = new Error('number is not on WhatsApp');
+        err.code = 'NOT_ON_WHATSAPP';
+        throw err;
+      }
+    }
+
+    const resp = await sendMessage(item.clientId, recipient, item.message, item.media, item.content || undefined);
+    item.status = 'sent';
+    item.sentAt = Date.now();
+    item.responseId = resp && resp.id ? resp.id : null;
+    // Reactions have no message of their own to track
+    if (item.responseId) recordStatus(item, item.responseId._serialized || item.responseId);
+    console.log(`[QUEUE] Sent message ${item.id} for client ${item.clientId}`);
+  } catch (error) {
+    item.status = 'failed';
+    item.error = error.message;
+    item.errorCode = error.code || null;
+    recordStatus(item, null, error.message);
+    console.error(`[QUEUE] Failed to send message ${item.id} for client ${item.clientId}:`, error.message);
+  } finally {
+    item.updatedAt = Date.now();
+    sending.delete(item.clientId);
+    nextSendAt.set(item.clientId, Date.now() + 60000 / messagesPerMinute + Math.random() * jitterMs);
+    saveQueue();
+    settle(item);
+  }
+}
+
+function processQueue() {
+  const now = Date.now();
+  const clientIds = new Set(items.filter(i => i.status === 'queued').map(i => i.clientId));
+
+  for (const clientId of clientIds) {
+    if (sending.has(clientId)) continue;
+    if ((nextSendAt.get(clientId) || 0) > now) continue;
+
+    // Messages wait in the queue until their client is (re)connected, unless it won't be
+    const entry = getClientEntry(clientId);
+    if (entry && entry.status === 'failed') {
+      failClientQueue(clientId, 'client failed and is no longer restarted');
+      continue;
+    }
+    if (!entry || entry.status !== 'ready') continue;
+
+    const item = nextDueItem(clientId, now);
+    if (item) sendQueuedItem(item);
+  }
+}
+
+/**
+ * Start draining queues. Checks every second which clients may send next.
+ */
+function startQueueWorker() {
+  if (worker) return;
+  worker = cron.schedule('* * * * * *', () => {
+    try {
+      processQueue();
+    } catch (error) {
+      console.error('[QUEUE] Worker error:', error);
+    }
+  });
+  cron.schedule('*/10 * * * *', pruneFinishedItems);
+  console.log(`[INFO] Send queue worker started (default ${DEFAULT_RATE_PER_MINUTE} msg/min, jitter ${DEFAULT_JITTER_MS}ms)`);
+}
+
+/**
+ * Stop starting new sends (shutdown). Queued messages stay persisted and go out after the restart;
+ * requests waiting for one are answered right away so they don't hold up the shutdown.
+ */
+function stopQueueWorker() {
+  releaseWaiters();
+  if (!worker) return;
+  worker.stop();
+  worker = null;
+}
+
+/**
+ * Whether a message is being sent right now
+ */
+function hasSendsInFlight() {
+  return sending.size > 0;
+}
+
+module.exports = {
+  SEND_WAIT_TIMEOUT_MS,
+  QUEUE_RETENTION_HOURS,
+  enqueueMessage,
+  enqueueMessages,
+  getQueuedMessage,
+  listQueue,
+  cancelQueuedMessage,
+  cancelClientQueue,
+  failClientQueue,
+  waitForSend,
+  onSettled,
+  serializeQueueItem,
+  getPendingMediaPaths,
+  getSettings,
+  updateSettings,
+  startQueueWorker,
+  stopQueueWorker,
+  hasSendsInFlight
+};
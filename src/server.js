@@ -2,9 +2,10 @@ require('dotenv').config();
 const express = require('express');
 const morgan = require('morgan');
 const routes = require('./routes');
+const { authenticate, hasConfiguredKeys } = require('./auth');
+const { rejectDuringShutdown, installShutdownHandlers } = require('./shutdown');
 const path = require('path');
 const cron = require('node-cron');
-const fs = require('fs/promises');
 const fsSync = require('fs');
 
 // Global error handlers to prevent crashes
@@ -32,22 +33,29 @@ app.use(cors({
   origin: '*', // for dev only; lock origins in production
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Owner'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Owner'],
   exposedHeaders: ['Content-Disposition', 'Content-Length'] // Required for downloads
 }));
 
+// Once SIGTERM/SIGINT arrives, new requests get 503 while in-flight ones finish
+app.use(rejectDuringShutdown);
+
 app.use(express.json({ limit: '30mb' }));
 app.use(express.urlencoded({ extended: true, limit: '30mb' }));
+// Keep API keys passed as ?apiKey= (event streams) and download tokens out of the request log
+morgan.token('url', (req) => (req.originalUrl || req.url).replace(/([?&](?:apiKey|token)=)[^&]*/g, '$1***'));
 app.use(morgan('dev'));
 
+// API key required for client management; downloads need a signed link instead (see downloadLinks.js)
+app.use(['/clients', '/api-keys', '/jobs', '/templates', '/exports'], authenticate);
+
 app.use('/', routes);
 
 
 const PORT = process.env.PORT || 3000;
 const HOST = process.env.HOST || '0.0.0.0';
 
-const SESSION_EXPIRY_HOURS = Number(process.env.SESSION_EXPIRY_HOURS || 6);
-const EXPIRY_MS = SESSION_EXPIRY_HOURS * 60 * 60 * 1000;
+const { SESSION_EXPIRY_HOURS, DEFAULT_EXPIRY_POLICY } = require('./sessionExpiry');
 
 const EXPORT_RETENTION_HOURS = Number(process.env.EXPORT_RETENTION_HOURS || 48);
 const DOWNLOADS_DIR = path.resolve(process.cwd(), 'src', 'downloads');
@@ -58,7 +66,19 @@ if (!fsSync.existsSync(DOWNLOADS_DIR)) {
 }
 
 // Simple periodic cleanup to remove expired client entries
-const { listClients, stopClient, getClientEntry, reconnectPersistedClients } = require('./clientsRegistry');
+const { stopClient, checkClientExpiry, reconnectPersistedClients, startClientSupervisor, shutdownClients, closeRegistry } = require('./clientsRegistry');
+const { startQueueWorker, stopQueueWorker, hasSendsInFlight, cancelClientQueue } = require('./sendQueue');
+const { hasActiveJobs } = require('./jobs');
+const { stopSupervisor } = require('./supervisor');
+const { publishToAllClients } = require('./clientEvents');
+const { pruneBroadcasts } = require('./broadcasts');
+const { pruneTemplateMedia } = require('./templates');
+const { pruneMessageStatuses } = require('./messageStatus');
+const { sweepOrphanedExports } = require('./exportArchive');
+const { cleanupExpiredExports } = require('./exportCleanup');
+
+// Exports interrupted by a crash leave a .partial ZIP behind; no export is running yet
+sweepOrphanedExports();
 
 // Reconnect to persisted clients on startup
 (async () => {
@@ -70,104 +90,51 @@ const { listClients, stopClient, getClientEntry, reconnectPersistedClients } = r
   }
 })();
 
+// Restart clients that disconnect, crash or get stuck while starting
+startClientSupervisor();
+
+// Drain per-client outbound message queues
+startQueueWorker();
+
 setInterval(async () => {
   try {
-    const now = Date.now();
-    const clients = listClients();
-    for (const c of clients) {
-      if (c.expiresAt && c.expiresAt < now) {
-        console.log(`Cleaning expired client ${c.clientId}`);
-        await stopClient(c.clientId);
-      } else {
-        // optional ping/update last seen
-        const entry = getClientEntry(c.clientId);
-        if (entry) entry.lastSeen = Date.now();
-      }
+    // Also sends expiry_warning events; lastSeen is only updated by client activity
+    for (const clientId of checkClientExpiry()) {
+      console.log(`Cleaning expired client ${clientId}`);
+      await stopClient(clientId);
+      cancelClientQueue(clientId);
     }
   } catch (e) {
     console.error('cleanup error', e);
   }
 }, 60 * 1000); // every minute
 
-// Automatic cleanup of expired export files (runs every hour)
+// Automatic cleanup of expired export files (runs every hour); POST /exports/cleanup runs it on demand
 cron.schedule('0 * * * *', async () => {
-  console.log('[CLEANUP] Starting export files cleanup...');
-  const now = Date.now();
-  const maxAgeMs = EXPORT_RETENTION_HOURS * 60 * 60 * 1000;
-  
-  try {
-    const files = await fs.readdir(DOWNLOADS_DIR);
-    let deletedCount = 0;
-    let totalSize = 0;
-    
-    for (const file of files) {
-      // Only clean up .zip files (exports)
-      if (!file.endsWith('.zip')) continue;
-      
-      const filePath = path.join(DOWNLOADS_DIR, file);
-      
-      try {
-        const stats = await fs.stat(filePath);
-        const fileAge = now - stats.mtime.getTime();
-        
-        if (fileAge > maxAgeMs) {
-          const fileSizeMB = (stats.size / (1024 * 1024)).toFixed(2);
-          await fs.unlink(filePath);
-          deletedCount++;
-          totalSize += stats.size;
-          console.log(`[CLEANUP] Deleted expired export: ${file} (${fileSizeMB}MB, age: ${(fileAge / (1000 * 60 * 60)).toFixed(1)}h)`);
-        }
-      } catch (fileError) {
-        console.error(`[CLEANUP ERROR] Failed to process file ${file}:`, fileError.message);
-      }
-    }
-    
-    if (deletedCount > 0) {
-      console.log(`[CLEANUP] Completed: Deleted ${deletedCount} file(s), freed ${(totalSize / (1024 * 1024)).toFixed(2)}MB`);
-    } else {
-      console.log('[CLEANUP] No expired files to delete');
-    }
-  } catch (err) {
-    console.error('[CLEANUP ERROR] Directory read error:', err);
-  }
+  await cleanupExpiredExports('CLEANUP');
+  pruneMessageStatuses();
+  pruneBroadcasts();
+  pruneTemplateMedia();
 });
 
-// Manual cleanup function (can be triggered via API if needed)
-async function cleanupExpiredExports() {
-  console.log('[MANUAL CLEANUP] Starting export files cleanup...');
-  const now = Date.now();
-  const maxAgeMs = EXPORT_RETENTION_HOURS * 60 * 60 * 1000;
-  
-  try {
-    const files = await fs.readdir(DOWNLOADS_DIR);
-    let deletedCount = 0;
-    
-    for (const file of files) {
-      if (!file.endsWith('.zip')) continue;
-      
-      const filePath = path.join(DOWNLOADS_DIR, file);
-      const stats = await fs.stat(filePath);
-      const fileAge = now - stats.mtime.getTime();
-      
-      if (fileAge > maxAgeMs) {
-        await fs.unlink(filePath);
-        deletedCount++;
-        console.log(`[MANUAL CLEANUP] Deleted: ${file}`);
-      }
-    }
-    
-    console.log(`[MANUAL CLEANUP] Completed: Deleted ${deletedCount} file(s)`);
-    return { success: true, deletedCount };
-  } catch (err) {
-    console.error('[MANUAL CLEANUP ERROR]:', err);
-    return { success: false, error: err.message };
-  }
-}
-
-app.listen(PORT, HOST, () => {
+const server = app.listen(PORT, HOST, () => {
   console.log(`Server listening at http://${HOST}:${PORT}`);
   console.log(`Server bound to all network interfaces (0.0.0.0) - accessible from network`);
   console.log(`Export retention: ${EXPORT_RETENTION_HOURS} hours`);
-  console.log(`Session expiry: ${SESSION_EXPIRY_HOURS} hours`);
+  console.log(`Session expiry: ${SESSION_EXPIRY_HOURS} hours (${DEFAULT_EXPIRY_POLICY})`);
   console.log(`Downloads directory: ${DOWNLOADS_DIR}`);
+  if (!hasConfiguredKeys()) {
+    console.warn('[WARN] No API keys configured. Set ADMIN_API_KEY to bootstrap access to /clients routes.');
+  }
+});
+
+installShutdownHandlers(server, {
+  stopWork() {
+    stopQueueWorker();
+    stopSupervisor();
+    publishToAllClients('shutdown', {}); // ends open event streams
+  },
+  isIdle: () => !hasSendsInFlight() && !hasActiveJobs(),
+  closeClients: shutdownClients,
+  flush: closeRegistry
 });
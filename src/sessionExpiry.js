@@ -0,0 +1,85 @@
+// Session expiry policies. Each client has one of:
+//   fixed   - expires sessionTtlMs after it was started (or last extended)
+//   sliding - expiresAt moves to sessionTtlMs after the last activity (messages sent or received)
+//   never   - no expiry; stopped only by DELETE /clients/:id
+// Clients get an `expiry_warning` event EXPIRY_WARNING_MS before they are stopped.
+const SESSION_EXPIRY_HOURS = Number(process.env.SESSION_EXPIRY_HOURS || 6);
+const SESSION_TTL_MS = SESSION_EXPIRY_HOURS * 60 * 60 * 1000;
+// Upper limit for expiryHours / extend hours in requests; longer sessions need the admin-only `never` policy
+const SESSION_MAX_EXPIRY_HOURS = Number(process.env.SESSION_MAX_EXPIRY_HOURS || 720);
+const EXPIRY_WARNING_MS = Number(process.env.SESSION_EXPIRY_WARNING_MINUTES || 15) * 60 * 1000;
+
+const EXPIRY_POLICIES = ['fixed', 'sliding', 'never'];
+const DEFAULT_EXPIRY_POLICY = EXPIRY_POLICIES.includes(process.env.SESSION_EXPIRY_POLICY)
+  ? process.env.SESSION_EXPIRY_POLICY
+  : 'fixed';
+
+/**
+ * Expiry fields for a new client
+ * @param {Object} [options] - { policy, ttlMs }
+ * @returns {Object} - { expiryPolicy, sessionTtlMs, expiresAt, expiryWarnedAt }
+ */
+function createExpiry({ policy = DEFAULT_EXPIRY_POLICY, ttlMs = SESSION_TTL_MS } = {}) {
+  return {
+    expiryPolicy: policy,
+    sessionTtlMs: ttlMs,
+    expiresAt: policy === 'never' ? null : Date.now() + ttlMs,
+    expiryWarnedAt: null
+  };
+}
+
+/**
+ * Something happened on the session: update lastSeen and slide the expiry
+ */
+function recordActivity(entry) {
+  const now = Date.now();
+  entry.lastSeen = now;
+  if (entry.expiryPolicy === 'sliding' && entry.expiresAt < now + entry.sessionTtlMs) {
+    entry.expiresAt = now + entry.sessionTtlMs;
+    entry.expiryWarnedAt = null;
+  }
+}
+
+/**
+ * Extend or renew a session, optionally switching its policy
+ * @param {Object} entry - Registry entry
+ * @param {Object} [options]
+ * @param {number} [options.ms] - Added to the current expiry; without it the session is renewed to now + sessionTtlMs
+ * @param {string} [options.policy] - New policy
+ */
+function extendExpiry(entry, { ms, policy } = {}) {
+  const now = Date.now();
+  if (policy) entry.expiryPolicy = policy;
+  entry.expiryWarnedAt = null;
+
+  if (entry.expiryPolicy === 'never') {
+    entry.expiresAt = null;
+  } else if (ms) {
+    entry.expiresAt = Math.max(entry.expiresAt || now, now) + ms;
+  } else {
+    entry.expiresAt = Math.max(entry.expiresAt || 0, now + entry.sessionTtlMs);
+  }
+}
+
+/**
+ * Where an entry stands relative to its expiry
+ * @returns {string|null} - 'expired', 'warn' (warning due, not yet sent) or null
+ */
+function expiryState(entry, now = Date.now()) {
+  if (!entry.expiresAt) return null;
+  if (entry.expiresAt <= now) return 'expired';
+  if (!entry.expiryWarnedAt && entry.expiresAt - now <= EXPIRY_WARNING_MS) return 'warn';
+  return null;
+}
+
+module.exports = {
+  EXPIRY_POLICIES,
+  DEFAULT_EXPIRY_POLICY,
+  SESSION_EXPIRY_HOURS,
+  SESSION_TTL_MS,
+  SESSION_MAX_EXPIRY_HOURS,
+  createExpiry,
+  recordActivity,
+  extendExpiry,
+  expiryState
+};
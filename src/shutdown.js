@@ -0,0 +1,96 @@
+// Orderly shutdown on SIGTERM/SIGINT (e.g. `docker compose down`): refuse new requests,
+// let in-flight sends, export jobs and requests finish, close every browser without
+// logging out, flush the registry and exit. Bounded by SHUTDOWN_TIMEOUT_MS.
+const SHUTDOWN_TIMEOUT_MS = Number(process.env.SHUTDOWN_TIMEOUT_MS || 25000);
+// Share of the timeout spent waiting for in-flight work; the rest is left for closing browsers
+const DRAIN_SHARE = 0.6;
+const DRAIN_POLL_MS = 250;
+
+let shuttingDown = false;
+
+/**
+ * Express middleware: 503 for requests arriving after shutdown started
+ */
+function rejectDuringShutdown(req, res, next) {
+  if (!shuttingDown) return next();
+  res.set('Connection', 'close');
+  res.set('Retry-After', '30');
+  return res.status(503).json({ error: 'server is shutting down' });
+}
+
+/**
+ * Resolve once condition() is true, or with false after timeoutMs
+ */
+async function waitUntil(condition, timeoutMs) {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() >= deadline) return false;
+    await new Promise(resolve => setTimeout(resolve, DRAIN_POLL_MS));
+  }
+  return true;
+}
+
+/**
+ * Run the shutdown once; later calls are ignored
+ * @param {http.Server} server - HTTP server to close
+ * @param {Object} steps
+ * @param {Function} steps.stopWork - () => stop starting new work (queue worker, supervisor, streams)
+ * @param {Function} steps.isIdle - () => true once no work is in flight
+ * @param {Function} steps.closeClients - async () => close the browsers
+ * @param {Function} steps.flush - () => persist and release state (registry)
+ * @param {string} signal - Signal that triggered the shutdown
+ */
+async function shutdown(server, { stopWork, isIdle, closeClients, flush }, signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  const startedAt = Date.now();
+  console.log(`[SHUTDOWN] ${signal} received, shutting down (timeout ${SHUTDOWN_TIMEOUT_MS}ms)...`);
+
+  const forceExit = setTimeout(() => {
+    console.error(`[SHUTDOWN] Still running after ${SHUTDOWN_TIMEOUT_MS}ms, exiting anyway`);
+    process.exit(1);
+  }, SHUTDOWN_TIMEOUT_MS);
+
+  let serverClosed = false;
+  server.close(() => {
+    serverClosed = true;
+  });
+
+  try {
+    stopWork();
+    const drained = await waitUntil(() => serverClosed && isIdle(), SHUTDOWN_TIMEOUT_MS * DRAIN_SHARE);
+    if (!drained) console.warn('[SHUTDOWN] In-flight work did not finish in time, continuing');
+
+    await closeClients();
+    flush();
+    console.log(`[SHUTDOWN] Done in ${Date.now() - startedAt}ms`);
+    clearTimeout(forceExit);
+    process.exit(0);
+  } catch (error) {
+    console.error('[SHUTDOWN] Error during shutdown:', error);
+    process.exit(1);
+  }
+}
+
+/**
+ * Handle SIGTERM and SIGINT. A second signal exits immediately.
+ * @param {http.Server} server - HTTP server to close
+ * @param {Object} steps - See shutdown()
+ */
+function installShutdownHandlers(server, steps) {
+  for (const signal of ['SIGTERM', 'SIGINT']) {
+    process.on(signal, () => {
+      if (shuttingDown) {
+        console.warn(`[SHUTDOWN] ${signal} received again, exiting now`);
+        process.exit(1);
+      }
+      shutdown(server, steps, signal);
+    });
+  }
+}
+
+module.exports = {
+  SHUTDOWN_TIMEOUT_MS,
+  rejectDuringShutdown,
+  installShutdownHandlers
+};
@@ -0,0 +1,146 @@
+// Client supervisor: restarts clients that disconnect or crash, with exponential backoff,
+// and restarts clients stuck while starting up. Health data lives on entry.health.
+const RESTART_BASE_MS = Number(process.env.CLIENT_RESTART_BASE_MS || 5000);
+const RESTART_MAX_MS = Number(process.env.CLIENT_RESTART_MAX_MS || 5 * 60 * 1000);
+const MAX_RESTARTS = Number(process.env.CLIENT_MAX_RESTARTS || 10); // consecutive; 0 = unlimited
+const INIT_TIMEOUT_MS = Number(process.env.CLIENT_INIT_TIMEOUT_MS || 3 * 60 * 1000);
+const HEALTH_CHECK_INTERVAL_MS = 15000;
+
+// Statuses a client passes through while starting; staying in one too long means it is stuck
+const STARTING_STATUSES = ['initializing', 'reconnecting', 'restarting', 'authenticated'];
+
+const timers = new Map(); // clientId -> pending restart timeout
+
+let restartHandler = null;
+let giveUpHandler = null;
+let healthTimer = null;
+
+function createHealth() {
+  return {
+    restartCount: 0,
+    consecutiveFailures: 0,
+    lastError: null,
+    lastErrorAt: null,
+    lastRestartAt: null,
+    nextRestartAt: null
+  };
+}
+
+/**
+ * Health fields of an entry, created on first use
+ */
+function getHealth(entry) {
+  if (!entry.health) entry.health = createHealth();
+  return entry.health;
+}
+
+/**
+ * Delay before the nth consecutive restart: base * 2^(n-1), capped at RESTART_MAX_MS
+ */
+function backoffDelay(attempt) {
+  return Math.min(RESTART_BASE_MS * 2 ** Math.max(attempt - 1, 0), RESTART_MAX_MS);
+}
+
+/**
+ * Record a failure and schedule a restart unless one is already pending
+ * @param {Object} entry - Registry entry
+ * @param {string} reason - Shown as health.lastError
+ */
+function reportFailure(entry, reason) {
+  const health = getHealth(entry);
+  health.lastError = reason;
+  health.lastErrorAt = Date.now();
+  if (timers.has(entry.clientId)) return;
+
+  health.consecutiveFailures++;
+  if (MAX_RESTARTS > 0 && health.consecutiveFailures > MAX_RESTARTS) {
+    console.error(`[SUPERVISOR] Client ${entry.clientId} failed ${MAX_RESTARTS} restarts in a row, giving up: ${reason}`);
+    health.nextRestartAt = null;
+    if (giveUpHandler) giveUpHandler(entry);
+    return;
+  }
+
+  const delay = backoffDelay(health.consecutiveFailures);
+  health.nextRestartAt = Date.now() + delay;
+  console.warn(`[SUPERVISOR] Client ${entry.clientId} failed (${reason}); restart #${health.consecutiveFailures} in ${Math.round(delay / 1000)}s`);
+
+  timers.set(entry.clientId, setTimeout(async () => {
+    timers.delete(entry.clientId);
+    health.nextRestartAt = null;
+    health.restartCount++;
+    health.lastRestartAt = Date.now();
+    if (!restartHandler) return;
+    try {
+      await restartHandler(entry);
+    } catch (error) {
+      reportFailure(entry, `restart failed: ${error.message}`);
+    }
+  }, delay));
+}
+
+/**
+ * The client reached ready: reset the backoff
+ */
+function reportReady(entry) {
+  const health = getHealth(entry);
+  health.consecutiveFailures = 0;
+  cancelRestart(entry.clientId);
+}
+
+function cancelRestart(clientId) {
+  const timer = timers.get(clientId);
+  if (timer) {
+    clearTimeout(timer);
+    timers.delete(clientId);
+  }
+}
+
+function checkStuckClients(entries) {
+  const now = Date.now();
+  for (const entry of entries) {
+    if (!STARTING_STATUSES.includes(entry.status) || timers.has(entry.clientId)) continue;
+    const since = entry.statusSince || entry.createdAt;
+    if (now - since > INIT_TIMEOUT_MS) {
+      reportFailure(entry, `stuck in ${entry.status} for ${Math.round((now - since) / 1000)}s`);
+    }
+  }
+}
+
+/**
+ * Start supervising
+ * @param {Object} handlers
+ * @param {Function} handlers.restart - async (entry) => rebuild and initialize the client
+ * @param {Function} handlers.giveUp - (entry) => called once MAX_RESTARTS is exceeded
+ * @param {Function} handlers.listEntries - () => entries to check for stuck startups
+ */
+function startSupervisor({ restart, giveUp, listEntries }) {
+  restartHandler = restart;
+  giveUpHandler = giveUp;
+  if (healthTimer) return;
+  healthTimer = setInterval(() => {
+    try {
+      checkStuckClients(listEntries());
+    } catch (error) {
+      console.error('[SUPERVISOR] Health check error:', error);
+    }
+  }, HEALTH_CHECK_INTERVAL_MS);
+  healthTimer.unref();
+}
+
+/**
+ * Stop the health check and drop pending restarts (shutdown)
+ */
+function stopSupervisor() {
+  if (healthTimer) clearInterval(healthTimer);
+  healthTimer = null;
+  for (const clientId of timers.keys()) cancelRestart(clientId);
+}
+
+module.exports = {
+  getHealth,
+  reportFailure,
+  reportReady,
+  cancelRestart,
+  startSupervisor,
+  stopSupervisor
+};
@@ -0,0 +1,238 @@
+// Server-side message templates with {{name}} placeholders, default values and
+// optional attached media. Persisted in data/templates.json; media under data/template-media.
+const path = require('path');
+const fs = require('fs');
+const { v4: uuidv4 } = require('uuid');
+const { extractPlaceholders, renderTemplate } = require('./utils');
+const { getPendingMediaPaths } = require('./sendQueue');
+const { decodeBase64Media } = require('./media');
+
+const DATA_DIR = path.resolve(process.cwd(), 'data');
+const TEMPLATES_FILE = path.join(DATA_DIR, 'templates.json');
+const TEMPLATE_MEDIA_DIR = path.join(DATA_DIR, 'template-media');
+
+if (!fs.existsSync(TEMPLATE_MEDIA_DIR)) fs.mkdirSync(TEMPLATE_MEDIA_DIR, { recursive: true });
+
+/*
+  templates map:
+  templateId -> {
+    id, owner, name, body, defaults, media: { filename, mime, filePath } | null,
+    createdAt, updatedAt
+  }
+*/
+const templates = new Map();
+
+function saveTemplates() {
+  try {
+    fs.writeFileSync(TEMPLATES_FILE, JSON.stringify(Array.from(templates.values()), null, 2));
+  } catch (error) {
+    console.error('[ERROR] Failed to save templates:', error);
+  }
+}
+
+function loadTemplates() {
+  try {
+    if (fs.existsSync(TEMPLATES_FILE)) {
+      for (const template of JSON.parse(fs.readFileSync(TEMPLATES_FILE, 'utf8'))) {
+        templates.set(template.id, template);
+      }
+      console.log(`[INFO] Loaded ${templates.size} message templates`);
+    }
+  } catch (error) {
+    console.error('[ERROR] Failed to load templates:', error);
+  }
+}
+
+loadTemplates();
+
+function validateFields({ name, body, defaults, media }, { partial = false } = {}) {
+  if (!partial || name !== undefined) {
+    if (!name || typeof name !== 'string') throw new Error('name required');
+  }
+  if (!partial || body !== undefined) {
+    if (typeof body !== 'string' || !body.trim()) throw new Error('body required');
+  }
+  if (defaults !== undefined && (typeof defaults !== 'object' || defaults === null || Array.isArray(defaults))) {
+    throw new Error('defaults must be an object of placeholder values');
+  }
+  if (media && (typeof media.base64 !== 'string' || !media.mime)) {
+    throw new Error('media requires mime and base64');
+  }
+}
+
+function assertUniqueName(owner, name, exceptId) {
+  for (const t of templates.values()) {
+    if (t.owner === owner && t.name === name && t.id !== exceptId) {
+      throw new Error(`template "${name}" already exists`);
+    }
+  }
+}
+
+function storeMedia(templateId, media, buffer) {
+  const filename = path.basename(media.filename || `file_${Date.now()}`);
+  // Unique per upload: queued messages may still send the file this one replaces
+  const filePath = path.join(TEMPLATE_MEDIA_DIR, `${templateId}_${Date.now()}_${filename}`);
+  fs.writeFileSync(filePath, buffer);
+  return { filename, mime: media.mime, filePath };
+}
+
+function removeMedia(template) {
+  if (!template.media) return;
+  // Still attached to queued messages; pruneTemplateMedia() removes it once they are sent
+  if (getPendingMediaPaths().has(template.media.filePath)) return;
+  try {
+    fs.rmSync(template.media.filePath, { force: true });
+  } catch (error) {
+    console.error(`[ERROR] Failed to remove media of template ${template.id}:`, error);
+  }
+}
+
+/**
+ * Create a template
+ * @param {string} owner - Owner of the template
+ * @param {Object} params - { name, body, defaults, media: { filename, mime, base64 } }
+ * @returns {Object} - The template
+ */
+function createTemplate(owner, { name, body, defaults, media }) {
+  validateFields({ name, body, defaults, media });
+  assertUniqueName(owner, name);
+  // Same type and size limits as media sent directly
+  const mediaBuffer = media ? decodeBase64Media(media) : null;
+
+  const id = uuidv4();
+  const template = {
+    id,
+    owner,
+    name,
+    body,
+    defaults: defaults || {},
+    media: media ? storeMedia(id, media, mediaBuffer) : null,
+    createdAt: Date.now(),
+    updatedAt: Date.now()
+  };
+  templates.set(id, template);
+  saveTemplates();
+  return template;
+}
+
+/**
+ * Update a template. `media: null` removes the attached media.
+ */
+function updateTemplate(templateId, { name, body, defaults, media }) {
+  const template = templates.get(templateId);
+  if (!template) return null;
+  validateFields({ name, body, defaults, media }, { partial: true });
+  if (name !== undefined) assertUniqueName(template.owner, name, templateId);
+  // Checked before anything changes, so a rejected file leaves the template as it was
+  const mediaBuffer = media ? decodeBase64Media(media) : null;
+
+  if (name !== undefined) template.name = name;
+  if (body !== undefined) template.body = body;
+  if (defaults !== undefined) template.defaults = defaults;
+  if (media !== undefined) {
+    removeMedia(template);
+    template.media = media ? storeMedia(templateId, media, mediaBuffer) : null;
+  }
+  template.updatedAt = Date.now();
+  saveTemplates();
+  return template;
+}
+
+function deleteTemplate(templateId) {
+  const template = templates.get(templateId);
+  if (!template) return false;
+  removeMedia(template);
+  templates.delete(templateId);
+  saveTemplates();
+  return true;
+}
+
+function getTemplate(templateId) {
+  return templates.get(templateId);
+}
+
+function listTemplates() {
+  return Array.from(templates.values());
+}
+
+/**
+ * Remove media files no template uses and no queued message still needs
+ * (left behind when a template was changed or deleted while its messages were queued)
+ * @returns {number} - Files removed
+ */
+function pruneTemplateMedia() {
+  const keep = getPendingMediaPaths();
+  for (const template of templates.values()) {
+    if (template.media) keep.add(template.media.filePath);
+  }
+
+  let removed = 0;
+  try {
+    for (const file of fs.readdirSync(TEMPLATE_MEDIA_DIR)) {
+      const filePath = path.join(TEMPLATE_MEDIA_DIR, file);
+      if (keep.has(filePath)) continue;
+      fs.rmSync(filePath, { force: true });
+      removed++;
+    }
+  } catch (error) {
+    console.error('[ERROR] Failed to prune template media:', error);
+  }
+  if (removed) console.log(`[CLEANUP] Removed ${removed} unused template media file(s)`);
+  return removed;
+}
+
+/**
+ * Variables a template needs that are neither supplied nor defaulted
+ */
+function findMissingVariables(template, variables = {}) {
+  return extractPlaceholders(template.body).filter(name => {
+    const value = variables[name] !== undefined ? variables[name] : template.defaults[name];
+    return value === undefined || value === null || value === '';
+  });
+}
+
+/**
+ * Render a template for sending
+ * @param {Object} template - The template
+ * @param {Object} variables - Placeholder values; template defaults fill the gaps
+ * @returns {Object} - { message, media } ready for the send queue
+ * @throws {Error} - code MISSING_VARIABLES with `missingVariables` when values are missing
+ */
+function renderTemplateMessage(template, variables = {}) {
+  const missing = findMissingVariables(template, variables);
+  if (missing.length) {
+    const err = new Error(`missing template variables: ${missing.join(', ')}`);
+    err.code = 'MISSING_VARIABLES';
+    err.missingVariables = missing;
+    throw err;
+  }
+
+  return {
+    message: renderTemplate(template.body, { ...template.defaults, ...variables }),
+    media: template.media
+  };
+}
+
+/**
+ * Public view of a template; the media file path stays on the server
+ */
+function serializeTemplate(template) {
+  const { media, ...rest } = template;
+  return {
+    ...rest,
+    placeholders: extractPlaceholders(template.body),
+    media: media ? { filename: media.filename, mime: media.mime } : null
+  };
+}
+
+module.exports = {
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  getTemplate,
+  listTemplates,
+  pruneTemplateMedia,
+  findMissingVariables,
+  renderTemplateMessage,
+  serializeTemplate
+};
@@ -1,19 +1,11 @@
 const fs = require('fs');
 const path = require('path');
-const archiver = require('archiver');
 const mime = require('mime-types');
 
 const DOWNLOADS_DIR = path.resolve(process.cwd(), 'src', 'downloads');
 
 if (!fs.existsSync(DOWNLOADS_DIR)) fs.mkdirSync(DOWNLOADS_DIR, { recursive: true });
 
-function saveBase64ToFile(base64, filename) {
-  const buffer = Buffer.from(base64, 'base64');
-  const filePath = path.join(DOWNLOADS_DIR, filename);
-  fs.writeFileSync(filePath, buffer);
-  return filePath;
-}
-
 /**
  * Get file extension from MIME type
  * @param {string} mimeType - MIME type (e.g., 'image/jpeg')
@@ -24,38 +16,38 @@ function getExtensionFromMime(mimeType) {
   return ext ? `.${ext}` : '.bin';
 }
 
+const PLACEHOLDER_PATTERN = /{{\s*([\w.-]+)\s*}}/g;
+
 /**
- * Create a ZIP archive from a directory
- * @param {string} sourceDir - Directory to zip
- * @param {string} outputPath - Output path for the zip file
- * @returns {Promise} - Resolves when zip is created
+ * List the distinct {{name}} placeholders used in a text
+ * @param {string} text - Text containing placeholders
+ * @returns {Array<string>} - Placeholder names in order of first use
  */
-function createZipArchive(sourceDir, outputPath) {
-  return new Promise((resolve, reject) => {
-    const output = fs.createWriteStream(outputPath);
-    const archive = archiver('zip', {
-      zlib: { level: 9 } // Compression level
-    });
-
-    output.on('close', () => {
-      console.log(`[DEBUG] ZIP created: ${outputPath} (${archive.pointer()} bytes)`);
-      resolve(outputPath);
-    });
-
-    archive.on('error', (err) => {
-      console.error('[ERROR] Archive error:', err);
-      reject(err);
-    });
+function extractPlaceholders(text) {
+  const names = [];
+  for (const match of (text || '').matchAll(PLACEHOLDER_PATTERN)) {
+    if (!names.includes(match[1])) names.push(match[1]);
+  }
+  return names;
+}
 
-    archive.pipe(output);
-    archive.directory(sourceDir, false);
-    archive.finalize();
+/**
+ * Replace {{name}} placeholders with values from `variables`
+ * @param {string} text - Text containing placeholders
+ * @param {Object} variables - Placeholder values
+ * @returns {string} - Rendered text; unknown placeholders become empty strings
+ */
+function renderTemplate(text, variables = {}) {
+  if (!text) return text;
+  return text.replace(PLACEHOLDER_PATTERN, (match, name) => {
+    const value = variables[name];
+    return value === undefined || value === null ? '' : String(value);
   });
 }
 
 module.exports = { 
-  saveBase64ToFile, 
   DOWNLOADS_DIR,
   getExtensionFromMime,
-  createZipArchive
+  extractPlaceholders,
+  renderTemplate
 };
@@ -0,0 +1,273 @@
+// Per-client webhook registrations with HMAC-signed delivery, exponential
+// backoff retries and a dead-letter log that can be replayed.
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs');
+const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+const { checkOutboundUrl, guardedRequestOptions, findBlockedUrlError } = require('./outboundUrls');
+
+const DATA_DIR = path.resolve(process.cwd(), 'data');
+const WEBHOOKS_FILE = path.join(DATA_DIR, 'webhooks.json');
+const DEAD_LETTERS_FILE = path.join(DATA_DIR, 'webhook-dead-letters.json');
+
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS || 5);
+const RETRY_BASE_MS = Number(process.env.WEBHOOK_RETRY_BASE_MS || 1000);
+const TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS || 10000);
+// The dead-letter log keeps at most this many entries, none older than the retention
+const DEAD_LETTER_MAX = Number(process.env.WEBHOOK_DEAD_LETTER_MAX || 1000);
+const DEAD_LETTER_RETENTION_DAYS = Number(process.env.WEBHOOK_DEAD_LETTER_RETENTION_DAYS || 7);
+
+const EVENT_TYPES = ['message', 'message_ack', 'message_revoke', 'status', 'expiry_warning'];
+
+if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
+
+/*
+  webhooks map:
+  clientId -> [{ id, url, secret, events, createdAt }]
+*/
+const webhooks = new Map();
+let deadLetters = [];
+
+function readJson(file, fallback) {
+  try {
+    if (fs.existsSync(file)) return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    console.error(`[ERROR] Failed to read ${file}:`, error);
+  }
+  return fallback;
+}
+
+function saveWebhooks() {
+  try {
+    fs.writeFileSync(WEBHOOKS_FILE, JSON.stringify(Object.fromEntries(webhooks), null, 2));
+  } catch (error) {
+    console.error('[ERROR] Failed to save webhooks:', error);
+  }
+}
+
+function saveDeadLetters() {
+  try {
+    fs.writeFileSync(DEAD_LETTERS_FILE, JSON.stringify(deadLetters, null, 2));
+  } catch (error) {
+    console.error('[ERROR] Failed to save webhook dead letters:', error);
+  }
+}
+
+for (const [clientId, hooks] of Object.entries(readJson(WEBHOOKS_FILE, {}))) {
+  webhooks.set(clientId, hooks);
+}
+deadLetters = readJson(DEAD_LETTERS_FILE, []);
+
+/**
+ * Drop dead letters past DEAD_LETTER_RETENTION_DAYS, then the oldest beyond DEAD_LETTER_MAX
+ * @returns {boolean} - Whether any were dropped
+ */
+function trimDeadLetters() {
+  const before = deadLetters.length;
+  const cutoff = Date.now() - DEAD_LETTER_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  deadLetters = deadLetters.filter(letter => letter.failedAt >= cutoff).slice(-DEAD_LETTER_MAX);
+  return deadLetters.length !== before;
+}
+
+if (trimDeadLetters()) saveDeadLetters();
+
+function toPublicWebhook(hook) {
+  return {
+    id: hook.id,
+    url: hook.url,
+    events: hook.events,
+    createdAt: hook.createdAt
+  };
+}
+
+/**
+ * Register a webhook for a client
+ * @param {string} clientId - Client ID
+ * @param {Object} params
+ * @param {string} params.url - http(s) URL receiving POSTed JSON events; private and local addresses are refused
+ * @param {Array<string>} [params.events] - Subset of EVENT_TYPES (default: all)
+ * @param {string} [params.secret] - HMAC secret; generated when omitted
+ * @returns {Promise<Object>} - Webhook including its secret (only returned here)
+ */
+async function registerWebhook(clientId, { url, events, secret }) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    throw new Error('valid url required');
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw new Error('url must be http or https');
+  }
+  try {
+    // Resolved now for an early error; deliveries check the address again on every connection
+    await checkOutboundUrl(parsed.toString(), { resolve: true });
+  } catch (error) {
+    throw new Error(`url is not allowed: ${error.message}`);
+  }
+
+  const selected = events && events.length ? events : EVENT_TYPES;
+  const unknown = selected.filter(e => !EVENT_TYPES.includes(e));
+  if (unknown.length) {
+    throw new Error(`unknown events: ${unknown.join(', ')} (allowed: ${EVENT_TYPES.join(', ')})`);
+  }
+
+  const hook = {
+    id: uuidv4(),
+    url: parsed.toString(),
+    secret: secret || crypto.randomBytes(32).toString('hex'),
+    events: selected,
+    createdAt: Date.now()
+  };
+
+  const hooks = webhooks.get(clientId) || [];
+  hooks.push(hook);
+  webhooks.set(clientId, hooks);
+  saveWebhooks();
+
+  return { ...toPublicWebhook(hook), secret: hook.secret };
+}
+
+function listWebhooks(clientId) {
+  return (webhooks.get(clientId) || []).map(toPublicWebhook);
+}
+
+function deleteWebhook(clientId, webhookId) {
+  const hooks = webhooks.get(clientId) || [];
+  const remaining = hooks.filter(h => h.id !== webhookId);
+  if (remaining.length === hooks.length) return false;
+  webhooks.set(clientId, remaining);
+  saveWebhooks();
+  return true;
+}
+
+/**
+ * Drop all webhooks and dead letters of a client (used when the client is deleted)
+ */
+function removeClientWebhooks(clientId) {
+  if (webhooks.delete(clientId)) saveWebhooks();
+  const before = deadLetters.length;
+  deadLetters = deadLetters.filter(letter => letter.clientId !== clientId);
+  if (deadLetters.length !== before) saveDeadLetters();
+}
+
+function sign(secret, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(body).digest('hex');
+}
+
+async function deliver(hook, delivery, attempt = 1) {
+  const body = JSON.stringify(delivery);
+  try {
+    await axios.post(hook.url, body, {
+      timeout: TIMEOUT_MS,
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Webhook-Id': hook.id,
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': delivery.id,
+        'X-Webhook-Signature': sign(hook.secret, body)
+      },
+      ...guardedRequestOptions()
+    });
+    console.log(`[WEBHOOK] Delivered ${delivery.event} ${delivery.id} to ${hook.url} (attempt ${attempt})`);
+  } catch (error) {
+    const reason = error.response ? `HTTP ${error.response.status}` : error.message;
+    // A private or local target (e.g. the hostname now resolves elsewhere) won't change on retry
+    const blocked = Boolean(findBlockedUrlError(error));
+
+    if (attempt < MAX_ATTEMPTS && !blocked) {
+      const delay = RETRY_BASE_MS * Math.pow(2, attempt - 1);
+      console.warn(`[WEBHOOK] Delivery ${delivery.id} to ${hook.url} failed (${reason}), retrying in ${delay}ms`);
+      setTimeout(() => deliver(hook, delivery, attempt + 1), delay);
+      return;
+    }
+
+    console.error(`[WEBHOOK] Delivery ${delivery.id} to ${hook.url} failed after ${attempt} attempts: ${reason}`);
+    deadLetters.push({
+      id: delivery.id,
+      webhookId: hook.id,
+      clientId: delivery.clientId,
+      url: hook.url,
+      event: delivery.event,
+      payload: delivery,
+      attempts: attempt,
+      lastError: reason,
+      failedAt: Date.now()
+    });
+    trimDeadLetters();
+    saveDeadLetters();
+  }
+}
+
+/**
+ * Send an event to every webhook of the client subscribed to it.
+ * Fire-and-forget: delivery and retries happen in the background.
+ * @param {string} clientId - Client ID
+ * @param {string} event - One of EVENT_TYPES
+ * @param {Object} data - Event payload
+ */
+function dispatchEvent(clientId, event, data) {
+  const hooks = (webhooks.get(clientId) || []).filter(h => h.events.includes(event));
+  for (const hook of hooks) {
+    const delivery = {
+      id: uuidv4(),
+      event,
+      clientId,
+      timestamp: Date.now(),
+      data
+    };
+    deliver(hook, delivery).catch(err => {
+      console.error('[WEBHOOK] Unexpected delivery error:', err);
+    });
+  }
+}
+
+function listDeadLetters(clientId) {
+  return deadLetters
+    .filter(d => d.clientId === clientId)
+    .map(({ payload, ...rest }) => ({ ...rest, data: payload.data }));
+}
+
+/**
+ * Re-deliver dead letters of a client. Entries that fail again land back in the log.
+ * @param {string} clientId - Client ID
+ * @param {Array<string>} [ids] - Dead letter ids; all of the client's when omitted
+ * @returns {Object} - { replayed: [ids], skipped: [{ id, reason }] }
+ */
+function replayDeadLetters(clientId, ids) {
+  const hooks = webhooks.get(clientId) || [];
+  const replayed = [];
+  const skipped = [];
+
+  deadLetters = deadLetters.filter(letter => {
+    if (letter.clientId !== clientId) return true;
+    if (ids && ids.length && !ids.includes(letter.id)) return true;
+
+    const hook = hooks.find(h => h.id === letter.webhookId);
+    if (!hook) {
+      skipped.push({ id: letter.id, reason: 'webhook no longer registered' });
+      return true;
+    }
+
+    replayed.push(letter.id);
+    deliver(hook, letter.payload).catch(err => {
+      console.error('[WEBHOOK] Unexpected replay error:', err);
+    });
+    return false;
+  });
+
+  saveDeadLetters();
+  return { replayed, skipped };
+}
+
+module.exports = {
+  EVENT_TYPES,
+  registerWebhook,
+  listWebhooks,
+  deleteWebhook,
+  removeClientWebhooks,
+  dispatchEvent,
+  listDeadLetters,
+  replayDeadLetters
+};
@@ -0,0 +1,191 @@
+// New clients (createClientEntry) and clients reconnected at startup (reconnectPersistedClients)
+// must be wired the same way. Both are driven here with a fake Client instead of Chromium.
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const EventEmitter = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The registry keeps data/ and .wwebjs_auth/ under the working directory
+const originalCwd = process.cwd();
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'clients-registry-test-'));
+process.chdir(workDir);
+process.env.REGISTRY_BACKEND = 'file';
+
+const REGISTRY_FILE = path.join(workDir, 'data', 'clients-registry.json');
+const CLIENT_CONFIG = { puppeteerArgs: ['--lang=en-US'], webVersion: '2.3000.1' };
+
+class FakeClient extends EventEmitter {
+  constructor(options) {
+    super();
+    this.options = options;
+    this.initialized = false;
+    this.destroyed = false;
+  }
+
+  async initialize() {
+    this.initialized = true;
+  }
+
+  async destroy() {
+    this.destroyed = true;
+  }
+}
+
+const { setClientClass } = require('../src/clientFactory');
+setClientClass(FakeClient);
+
+const { subscribeClientEvents } = require('../src/clientEvents');
+const registry = require('../src/clientsRegistry');
+
+after(async () => {
+  await registry.shutdownClients();
+  registry.closeRegistry();
+  setClientClass();
+  process.chdir(originalCwd);
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+function readPersisted(clientId) {
+  // Saves are coalesced; write pending ones first
+  registry.flushRegistry();
+  return JSON.parse(fs.readFileSync(REGISTRY_FILE, 'utf8'))[clientId];
+}
+
+function nextEvent(clientId, event) {
+  return new Promise((resolve) => {
+    const unsubscribe = subscribeClientEvents(clientId, (payload) => {
+      if (payload.event !== event) return;
+      unsubscribe();
+      resolve(payload.data);
+    });
+  });
+}
+
+/**
+ * Emit a login on the entry's fake client and record what the registry did with it
+ */
+async function driveLifecycle(entry) {
+  const client = entry.client;
+  const statuses = [];
+  const unsubscribe = subscribeClientEvents(entry.clientId, ({ event, data }) => {
+    if (event === 'status') statuses.push(data.status);
+  });
+  const saves = [];
+  const recordSave = () => {
+    const { status, clientConfig, qrDataUrl } = readPersisted(entry.clientId);
+    saves.push({ status, clientConfig, hasQr: Boolean(qrDataUrl) });
+  };
+
+  const qrPublished = nextEvent(entry.clientId, 'qr');
+  client.emit('qr', 'fake-qr-payload');
+  await qrPublished;
+  recordSave();
+
+  client.emit('authenticated');
+  recordSave();
+
+  client.emit('ready');
+  recordSave();
+
+  const messagePublished = nextEvent(entry.clientId, 'message');
+  client.emit('message', {
+    id: { _serialized: 'false_111@c.us_ABC' },
+    from: '111@c.us',
+    to: '222@c.us',
+    fromMe: false,
+    type: 'chat',
+    body: 'hello',
+    timestamp: 1700000000,
+    hasMedia: false,
+    ack: 1
+  });
+  const message = await messagePublished;
+
+  unsubscribe();
+  return {
+    listeners: client.eventNames().sort().map(name => [name, client.listenerCount(name)]),
+    initialized: client.initialized,
+    statuses,
+    saves,
+    finalStatus: entry.status,
+    messageBody: message.body
+  };
+}
+
+let createdTrace;
+let reconnectedTrace;
+
+test('reconnectPersistedClients rebuilds a persisted client with its saved configuration', async () => {
+  const clientId = 'persisted-client';
+  const expiresAt = Date.now() + 60 * 60 * 1000;
+  fs.mkdirSync(path.join(workDir, '.wwebjs_auth', `session-${clientId}`), { recursive: true });
+  fs.writeFileSync(REGISTRY_FILE, JSON.stringify({
+    [clientId]: {
+      clientId,
+      owner: 'owner-a',
+      status: 'ready',
+      createdAt: Date.now() - 1000,
+      expiresAt,
+      expiryPolicy: 'fixed',
+      sessionTtlMs: 60 * 60 * 1000,
+      defaultRegion: 'DE',
+      clientConfig: CLIENT_CONFIG
+    }
+  }));
+
+  await registry.reconnectPersistedClients();
+
+  const entry = registry.getClientEntry(clientId);
+  assert.ok(entry, 'client is back in the registry');
+  assert.ok(entry.client instanceof FakeClient);
+  assert.equal(entry.status, 'reconnecting');
+  assert.equal(entry.owner, 'owner-a');
+  assert.equal(entry.defaultRegion, 'DE');
+  assert.equal(entry.expiresAt, expiresAt);
+  assert.equal(entry.client.options.authStrategy.clientId, clientId);
+  assert.ok(entry.client.options.puppeteer.args.includes('--lang=en-US'));
+  assert.equal(entry.client.options.webVersion, '2.3000.1');
+
+  const persisted = readPersisted(clientId);
+  assert.equal(persisted.status, 'reconnecting');
+  assert.deepEqual(persisted.clientConfig, CLIENT_CONFIG);
+
+  reconnectedTrace = await driveLifecycle(entry);
+});
+
+test('createClientEntry builds and persists a new client', async () => {
+  const entry = registry.createClientEntry('owner-b', 60 * 60 * 1000, { defaultRegion: 'DE', ...CLIENT_CONFIG });
+  // initialize() is started asynchronously
+  await new Promise(resolve => setImmediate(resolve));
+
+  assert.ok(entry.client instanceof FakeClient);
+  assert.equal(entry.status, 'initializing');
+  assert.equal(registry.getClientEntry(entry.clientId), entry);
+  assert.equal(entry.client.options.authStrategy.clientId, entry.clientId);
+  assert.ok(entry.client.options.puppeteer.args.includes('--lang=en-US'));
+  assert.equal(entry.client.options.webVersion, '2.3000.1');
+
+  const persisted = readPersisted(entry.clientId);
+  assert.equal(persisted.status, 'initializing');
+  assert.deepEqual(persisted.clientConfig, CLIENT_CONFIG);
+
+  createdTrace = await driveLifecycle(entry);
+});
+
+test('both paths wire the same events, status transitions and registry saves', () => {
+  assert.ok(createdTrace && reconnectedTrace, 'both lifecycles ran');
+  assert.deepEqual(createdTrace, reconnectedTrace);
+
+  assert.equal(createdTrace.initialized, true);
+  assert.deepEqual(createdTrace.statuses, ['qr', 'authenticated', 'ready']);
+  assert.deepEqual(createdTrace.saves.map(s => s.status), ['qr', 'authenticated', 'ready']);
+  assert.deepEqual(createdTrace.saves.map(s => s.hasQr), [true, true, false]);
+  for (const save of createdTrace.saves) assert.deepEqual(save.clientConfig, CLIENT_CONFIG);
+  assert.equal(createdTrace.finalStatus, 'ready');
+  assert.equal(createdTrace.messageBody, 'hello');
+  for (const event of ['qr', 'code', 'ready', 'authenticated', 'auth_failure', 'disconnected', 'error', 'message', 'message_ack', 'message_revoke_everyone']) {
+    assert.ok(createdTrace.listeners.some(([name, count]) => name === event && count === 1), `one ${event} listener`);
+  }
+});
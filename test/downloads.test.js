@@ -0,0 +1,76 @@
+// GET /downloads/:filename must only count a download against its link when the file is
+// actually streamed: a missing file or a HEAD request leaves the link as it was.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+
+// Exports, tokens and downloads live under the working directory
+const originalCwd = process.cwd();
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'downloads-test-'));
+process.chdir(workDir);
+process.env.REGISTRY_BACKEND = 'file';
+
+const { DOWNLOADS_DIR } = require('../src/utils');
+const { recordExport } = require('../src/exportCatalog');
+const { issueDownloadLink } = require('../src/downloadLinks');
+const { closeRegistry } = require('../src/clientsRegistry');
+const routes = require('../src/routes');
+
+const TOKENS_FILE = path.join(workDir, 'data', 'download-tokens.json');
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use('/', routes);
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  closeRegistry();
+  process.chdir(originalCwd);
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+function downloadCount(tokenId) {
+  return JSON.parse(fs.readFileSync(TOKENS_FILE, 'utf8'))[tokenId].downloads;
+}
+
+function issueLink(exportId) {
+  const record = recordExport({ exportId, clientId: 'client-a', filename: `${exportId}.zip` });
+  return issueDownloadLink(record, { ttlMs: 60 * 1000, maxDownloads: 1 });
+}
+
+test('a missing file answers 404 without using up the link', async () => {
+  const link = issueLink('export_missing');
+
+  const res = await fetch(baseUrl + link.url);
+  assert.equal(res.status, 404);
+  assert.equal(downloadCount(link.tokenId), 0);
+});
+
+test('HEAD does not count; the download itself does', async () => {
+  const link = issueLink('export_present');
+  fs.writeFileSync(path.join(DOWNLOADS_DIR, 'export_present.zip'), 'zip bytes');
+
+  const head = await fetch(baseUrl + link.url, { method: 'HEAD' });
+  assert.equal(head.status, 200);
+  assert.equal(head.headers.get('content-length'), '9');
+  assert.equal(downloadCount(link.tokenId), 0);
+
+  const res = await fetch(baseUrl + link.url);
+  assert.equal(res.status, 200);
+  assert.equal(await res.text(), 'zip bytes');
+  assert.equal(downloadCount(link.tokenId), 1);
+
+  const again = await fetch(baseUrl + link.url);
+  assert.equal(again.status, 410);
+  assert.equal((await again.json()).code, 'DOWNLOAD_LIMIT_REACHED');
+});
@@ -0,0 +1,49 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Cursors are stored in data/ under the working directory
+const originalCwd = process.cwd();
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'export-cursors-test-'));
+process.chdir(workDir);
+
+const { parseExportFilters } = require('../src/exportFilters');
+const { exportCursorScope, getExportCursor, listExportCursors, advanceCursor, saveExportCursors, resetExportCursors } = require('../src/exportCursors');
+
+after(() => {
+  process.chdir(originalCwd);
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+test('each endpoint and filter set gets its own scope; maxMessages and types order do not matter', () => {
+  const all = exportCursorScope(false, parseExportFilters());
+  const received = exportCursorScope(true, parseExportFilters({ fromMe: false }));
+  const receivedViaChats = exportCursorScope(false, parseExportFilters({ fromMe: false }));
+  const images = exportCursorScope(false, parseExportFilters({ types: 'image,video' }));
+
+  assert.equal(new Set([all.key, received.key, receivedViaChats.key, images.key]).size, 4);
+  assert.equal(exportCursorScope(false, parseExportFilters({ types: ['video', 'image'] })).key, images.key);
+  assert.equal(exportCursorScope(false, parseExportFilters({ maxMessages: 5 })).key, all.key);
+  assert.equal(received.route, 'export-received-messages');
+});
+
+test('a filtered run only moves its own cursor', () => {
+  const all = exportCursorScope(false, parseExportFilters());
+  const received = exportCursorScope(true, parseExportFilters({ fromMe: false }));
+  const exported = [{ id: 'M1', timestamp: 200 }, { id: 'M2', timestamp: 300 }];
+
+  saveExportCursors('client-a', received, { 'chat@c.us': advanceCursor(null, exported, 'export_received_1') });
+
+  assert.equal(getExportCursor('client-a', 'chat@c.us', all.key), null);
+  const cursor = getExportCursor('client-a', 'chat@c.us', received.key);
+  assert.equal(cursor.lastMessageId, 'M2');
+  assert.equal(cursor.route, 'export-received-messages');
+  assert.equal(cursor.filters.fromMe, false);
+
+  saveExportCursors('client-a', all, { 'chat@c.us': advanceCursor(null, exported.slice(0, 1), 'export_2') });
+  assert.equal(listExportCursors('client-a').length, 2);
+  assert.equal(resetExportCursors('client-a', 'chat@c.us'), 2);
+  assert.deepEqual(listExportCursors('client-a'), []);
+});
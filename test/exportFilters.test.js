@@ -0,0 +1,19 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseExportFilters, describeExportFilters } = require('../src/exportFilters');
+
+test('since and until accept ISO dates and epoch milliseconds', () => {
+  const filters = parseExportFilters({ since: '2024-01-01T00:00:00Z', until: '1735689600000' });
+  assert.equal(filters.since, Date.parse('2024-01-01T00:00:00Z'));
+  assert.equal(filters.until, 1735689600000);
+  assert.equal(describeExportFilters(filters).until, '2025-01-01T00:00:00.000Z');
+});
+
+test('times outside the Date range are rejected as invalid filters', () => {
+  for (const body of [{ since: 1e20 }, { until: '100000000000000000' }, { since: -8.64e15 - 1 }]) {
+    assert.throws(() => parseExportFilters(body), { code: 'INVALID_FILTER', message: /outside the supported date range/ });
+  }
+  const limits = parseExportFilters({ since: -8.64e15, until: 8.64e15 });
+  assert.doesNotThrow(() => describeExportFilters(limits));
+});
@@ -0,0 +1,92 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const archiver = require('archiver');
+
+// The export catalog is stored in data/ under the working directory
+const originalCwd = process.cwd();
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'export-verify-test-'));
+process.chdir(workDir);
+
+const { recordExport } = require('../src/exportCatalog');
+const { verifyExportArchive } = require('../src/exportVerify');
+
+after(() => {
+  process.chdir(originalCwd);
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+const sha256 = data => crypto.createHash('sha256').update(data).digest('hex');
+
+/**
+ * Write an export-like ZIP with one chat.txt and a manifest listing it
+ * @returns {Promise<string>} - SHA-256 of the manifest
+ */
+async function writeExportZip(zipPath, exportId, chatText = 'hello') {
+  const manifest = JSON.stringify({
+    exportId,
+    clientId: 'client-a',
+    hashAlgorithm: 'sha256',
+    chats: [{ files: [{ name: 'chat/chat.txt', size: Buffer.byteLength(chatText), sha256: sha256(chatText) }] }]
+  });
+  const archive = archiver('zip');
+  const done = new Promise((resolve, reject) => {
+    const output = fs.createWriteStream(zipPath);
+    output.on('close', resolve);
+    archive.on('error', reject);
+    archive.pipe(output);
+  });
+  archive.append(chatText, { name: 'chat/chat.txt' });
+  archive.append(manifest, { name: 'manifest.json' });
+  await archive.finalize();
+  await done;
+  return sha256(manifest);
+}
+
+test('an export with a catalog record is checked against its recorded manifestSha256', async () => {
+  const zipPath = path.join(workDir, 'recorded.zip');
+  const manifestSha256 = await writeExportZip(zipPath, 'export_recorded');
+  recordExport({ exportId: 'export_recorded', clientId: 'client-a', filename: 'export_recorded.zip', manifestSha256 });
+
+  const result = await verifyExportArchive(zipPath);
+  assert.equal(result.valid, true);
+  assert.equal(result.anchor, 'catalog');
+  assert.equal(result.manifestMatches, true);
+
+  // A caller-supplied checksum doesn't override the recorded one
+  const supplied = await verifyExportArchive(zipPath, { manifestSha256: sha256('other') });
+  assert.equal(supplied.valid, true);
+  assert.equal(supplied.anchor, 'catalog');
+});
+
+test('a rewritten manifest fails against the catalog record', async () => {
+  const zipPath = path.join(workDir, 'rewritten.zip');
+  const manifestSha256 = await writeExportZip(zipPath, 'export_rewritten');
+  recordExport({ exportId: 'export_rewritten', clientId: 'client-a', filename: 'export_rewritten.zip', manifestSha256 });
+  await writeExportZip(zipPath, 'export_rewritten', 'tampered');
+
+  const result = await verifyExportArchive(zipPath);
+  assert.equal(result.valid, false);
+  assert.equal(result.manifestMatches, false);
+  assert.deepEqual(result.modified, []);
+});
+
+test('without a record or a supplied checksum the result is unanchored, not valid', async () => {
+  const zipPath = path.join(workDir, 'unknown.zip');
+  const manifestSha256 = await writeExportZip(zipPath, 'export_unknown');
+
+  const unanchored = await verifyExportArchive(zipPath);
+  assert.equal(unanchored.valid, null);
+  assert.equal(unanchored.anchor, null);
+  assert.equal(unanchored.manifestMatches, null);
+
+  const supplied = await verifyExportArchive(zipPath, { manifestSha256: manifestSha256.toUpperCase() });
+  assert.equal(supplied.valid, true);
+  assert.equal(supplied.anchor, 'request');
+
+  const wrong = await verifyExportArchive(zipPath, { manifestSha256: sha256('other') });
+  assert.equal(wrong.valid, false);
+});